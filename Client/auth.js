@@ -0,0 +1,59 @@
+// Sessions issued by the server. Account sessions are remembered across visits, guest ones
+// only for the tab, so every tab without a login is its own guest.
+const ACCOUNT_SESSION_KEY = 'canvas_session';
+const GUEST_SESSION_KEY = 'canvas_guest_session';
+
+function readSession(storage, key) {
+  try {
+    const session = JSON.parse(storage.getItem(key));
+    if (session && session.token && session.expiresAt > Date.now()) return session;
+  } catch (error) {
+    // Unreadable sessions are treated as missing
+  }
+  storage.removeItem(key);
+  return null;
+}
+
+async function requestSession(serverUrl, path, body) {
+  const response = await fetch(`${serverUrl}/api/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
+
+// The logged-in account's session, or a guest session for this tab
+export async function ensureSession(serverUrl) {
+  const account = readSession(localStorage, ACCOUNT_SESSION_KEY);
+  if (account) return account;
+  
+  const guest = readSession(sessionStorage, GUEST_SESSION_KEY);
+  if (guest) return guest;
+  
+  const session = await requestSession(serverUrl, 'guest');
+  sessionStorage.setItem(GUEST_SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+export async function login(serverUrl, username, password) {
+  const session = await requestSession(serverUrl, 'login', { username, password });
+  localStorage.setItem(ACCOUNT_SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+export async function register(serverUrl, username, password) {
+  const session = await requestSession(serverUrl, 'register', { username, password });
+  localStorage.setItem(ACCOUNT_SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+// Forget every stored session, e.g. on logout or when the server no longer accepts one
+export function clearSession() {
+  localStorage.removeItem(ACCOUNT_SESSION_KEY);
+  sessionStorage.removeItem(GUEST_SESSION_KEY);
+}
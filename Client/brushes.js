@@ -0,0 +1,151 @@
+// Brush engine settings for freehand brush strokes. A stroke drawn with anything but the plain
+// round brush carries them as `brush`, so every client renders it the same way:
+//   opacity  MIN_OPACITY to 1; overlaps within one stroke don't build up, it fades as a whole
+//   blend    how the stroke combines with what its author drew below it on the same layer
+//   tip      'round', 'square' or 'chisel' (a flat nib, thin along NIB_ANGLE and wide across it)
+//   texture  'none', 'grain' (pencil on paper) or 'spray' (dots scattered under the tip)
+//   dash     [dash, gap] in brush widths, or null for a solid line
+export const BLEND_MODES = ['normal', 'multiply', 'screen', 'darken', 'lighten'];
+export const BRUSH_TIPS = ['round', 'square', 'chisel'];
+export const BRUSH_TEXTURES = ['none', 'grain', 'spray'];
+
+const MIN_OPACITY = 0.05;
+const MAX_DASH = 20;
+
+export const DEFAULT_BRUSH = { opacity: 1, blend: 'normal', tip: 'round', texture: 'none', dash: null };
+
+export const BRUSH_PRESETS = [
+  { id: 'pen', name: 'Pen', icon: 'fa-pen', brush: DEFAULT_BRUSH },
+  { id: 'marker', name: 'Marker', icon: 'fa-marker', brush: { ...DEFAULT_BRUSH, opacity: 0.85 } },
+  { id: 'highlighter', name: 'Highlighter', icon: 'fa-highlighter', brush: { ...DEFAULT_BRUSH, opacity: 0.4, blend: 'multiply', tip: 'square' } },
+  { id: 'pencil', name: 'Pencil', icon: 'fa-pencil-alt', brush: { ...DEFAULT_BRUSH, opacity: 0.9, texture: 'grain' } },
+  { id: 'calligraphy', name: 'Calligraphy', icon: 'fa-pen-nib', brush: { ...DEFAULT_BRUSH, tip: 'chisel' } },
+  { id: 'spray', name: 'Spray', icon: 'fa-spray-can', brush: { ...DEFAULT_BRUSH, texture: 'spray' } },
+  { id: 'dashed', name: 'Dashed', icon: 'fa-grip-lines', brush: { ...DEFAULT_BRUSH, dash: [2, 1.5] } }
+];
+
+// Direction of the thin side of the chisel tip, and how thin it is relative to the brush size
+export const NIB_ANGLE = -Math.PI / 4;
+export const MIN_NIB_SCALE = 0.15;
+
+// Spray dots per square document unit under the tip, and the most per segment
+export const SPRAY_DENSITY = 0.3;
+export const MAX_SPRAY_DOTS = 400;
+
+// Grain texture: a tile of this many document units, erasing up to GRAIN_STRENGTH of the line
+const GRAIN_SIZE = 64;
+const GRAIN_STRENGTH = 0.55;
+const GRAIN_SEED = 0x5eed;
+
+const BLEND_OPERATIONS = {
+  normal: 'source-over',
+  multiply: 'multiply',
+  screen: 'screen',
+  darken: 'darken',
+  lighten: 'lighten'
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// A complete, valid brush, or null for the plain brush (which strokes leave out)
+export function normalizeBrush(brush) {
+  if (!brush || typeof brush !== 'object') return null;
+  
+  const { dash } = brush;
+  const normalized = {
+    opacity: isFiniteNumber(brush.opacity) ? clamp(brush.opacity, MIN_OPACITY, 1) : 1,
+    blend: BLEND_MODES.includes(brush.blend) ? brush.blend : 'normal',
+    tip: BRUSH_TIPS.includes(brush.tip) ? brush.tip : 'round',
+    texture: BRUSH_TEXTURES.includes(brush.texture) ? brush.texture : 'none',
+    dash: Array.isArray(dash) && dash.length === 2 && dash.every(isFiniteNumber) && dash[0] > 0
+      ? dash.map(length => clamp(length, 0, MAX_DASH))
+      : null
+  };
+  return sameBrush(normalized, DEFAULT_BRUSH) ? null : normalized;
+}
+
+export function sameBrush(a, b) {
+  a = a || DEFAULT_BRUSH;
+  b = b || DEFAULT_BRUSH;
+  return a.opacity === b.opacity && a.blend === b.blend && a.tip === b.tip && a.texture === b.texture &&
+    String(a.dash) === String(b.dash);
+}
+
+// Brush a stroke is rendered with; erasers always use the plain one
+export function getStrokeBrush(stroke) {
+  return (stroke.mode === 'brush' && normalizeBrush(stroke.brush)) || DEFAULT_BRUSH;
+}
+
+// Strokes that fade, blend or are textured as a whole are drawn opaque onto a canvas of their
+// own first and then composited with compositeStroke
+export function needsBuffer(brush) {
+  return brush.opacity < 1 || brush.blend !== 'normal' || brush.texture === 'grain';
+}
+
+// Composite a stroke drawn opaque onto `canvas` into ctx (both in pixels). The grain is applied
+// to `canvas` itself; matrix maps stroke coordinates to its pixels, so the grain moves with the stroke.
+export function compositeStroke(ctx, canvas, brush, matrix) {
+  if (brush.texture === 'grain') applyGrain(canvas, matrix);
+  
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = brush.opacity;
+  ctx.globalCompositeOperation = BLEND_OPERATIONS[brush.blend];
+  ctx.drawImage(canvas, 0, 0);
+  ctx.restore();
+}
+
+function applyGrain(canvas, matrix) {
+  const ctx = canvas.getContext('2d');
+  const pattern = ctx.createPattern(getGrainTile(), 'repeat');
+  if (!pattern) return;
+  if (pattern.setTransform) pattern.setTransform(matrix);
+  
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.fillStyle = pattern;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+}
+
+let grainTile = null;
+
+// The same noise on every client, from a fixed seed
+function getGrainTile() {
+  if (grainTile) return grainTile;
+  
+  grainTile = document.createElement('canvas');
+  grainTile.width = GRAIN_SIZE;
+  grainTile.height = GRAIN_SIZE;
+  const ctx = grainTile.getContext('2d');
+  const image = ctx.createImageData(GRAIN_SIZE, GRAIN_SIZE);
+  const random = createRandom(GRAIN_SEED);
+  for (let i = 3; i < image.data.length; i += 4) {
+    image.data[i] = Math.floor(random() * random() * GRAIN_STRENGTH * 255);
+  }
+  ctx.putImageData(image, 0, 0);
+  return grainTile;
+}
+
+// Seeded random numbers in [0, 1) (mulberry32), so scattered dots land in the same places everywhere
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 32-bit FNV-1a hash of a string, to seed random numbers per stroke
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
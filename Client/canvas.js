@@ -1,24 +1,163 @@
+import { ConflictResolver } from './conflict-resolver.js';
+import { Viewport } from './viewport.js';
+import { isShapeTool, constrainShapeEnd, isDegenerateShape, drawShape } from './shapes.js';
+import {
+  IDENTITY,
+  multiply,
+  invert,
+  translation,
+  scaling,
+  rotation,
+  isIdentity,
+  getStrokeBounds,
+  unionBounds,
+  hitTestStroke,
+  strokeInLasso,
+  getSelectionHandles,
+  getHandleAt,
+  getOppositeHandle,
+  drawSelection,
+  drawLasso
+} from './selection.js';
+import { TEXT_FONT_FAMILY, TEXT_LINE_HEIGHT, isTextStroke, getAlignOffset, getTextProps, sameTextProps, getTextBounds, drawText } from './text.js';
+import { DEFAULT_LAYER_ID, createDefaultLayers, getStrokeLayerId } from './layers.js';
+import { encodePoints, decodePoints, encodePressure, encodePressures, withPressure, quantizePoint } from './codec.js';
+import { getPenPressure, getReadySegments, drawStrokeSegments } from './freehand.js';
+import { normalizeBrush, getStrokeBrush, needsBuffer, compositeStroke } from './brushes.js';
+import { MAX_MASK_SIZE, MAX_MASK_RUNS, isFillStroke, floodFill, drawFill } from './fill.js';
+import { ImageCache, isImageStroke, drawImageStroke } from './images.js';
+
+// Logical document space shared by every client; stroke points and widths use these units.
+// The canvas is unbounded, this area is what a fresh view (and Ctrl+0) frames.
+export const DOCUMENT_WIDTH = 1920;
+export const DOCUMENT_HEIGHT = 1080;
+
+// Background grid spacing in document units, and the smallest on-screen spacing before it coarsens
+const GRID_SIZE = 20;
+const MIN_GRID_SPACING = 8;
+
+// Largest exported image side in pixels, big drawings are scaled down to fit
+const MAX_EXPORT_SIZE = 8192;
+
+// Extra hit distance around strokes for the selection tool, in screen pixels
+const SELECT_TOLERANCE = 4;
+
+// Shift snaps selection rotation to multiples of this angle
+const ROTATE_SNAP = Math.PI / 12;
+
+// Offset of duplicated and pasted strokes, in document units
+const DUPLICATE_OFFSET = 20;
+
+// Imported images keep their size in pixels as document units, but take up at most this
+// much of the view's width or height
+const MAX_IMAGE_VIEW_FRACTION = 0.6;
+
+// Zoom step per wheel notch with Ctrl held (pinch on trackpads reports as Ctrl+wheel)
+const WHEEL_ZOOM_STEP = 0.0015;
+
+// A chunk of remote points is drawn over about this many frames, so strokes grow smoothly
+// even when chunks arrive in bursts
+const REMOTE_CATCH_UP_FRAMES = 3;
+
 export class CanvasManager {
   constructor(canvasElement) {
     this.canvas = canvasElement;
+    this.userId = null;
     this.ctx = this.canvas.getContext('2d', { alpha: true });
     
-    // Separate canvas for user's own drawings (for undo/redo)
-    this.userCanvas = document.createElement('canvas');
-    this.userCtx = this.userCanvas.getContext('2d', { alpha: true });
+    // Shared layer stack (bottom to top, synced through the server) and the layer this user draws on
+    this.layers = createDefaultLayers();
+    this.activeLayerId = DEFAULT_LAYER_ID;
     
-    // Map of remote user canvases - each user gets their own canvas layer
-    this.remoteCanvases = new Map();
+    // One drawing surface per layer and user, so eraser strokes only cut through what the same
+    // user drew on the same layer. A layer below full opacity is flattened into layerCanvas first.
+    this.surfaces = new Map();
+    this.layerCanvas = document.createElement('canvas');
+    this.layerCtx = this.layerCanvas.getContext('2d', { alpha: true });
+    
+    // Pan/zoom transform from document units to CSS pixels
+    this.view = new Viewport();
+    this.renderScheduled = false;
+    
+    // Navigation state: space+drag or middle-drag pans, two touch pointers pan and pinch-zoom
+    this.spacePressed = false;
+    this.panning = null;
+    this.touchPointers = new Map();
+    this.gesture = null;
+    
+    // Stroke model for every layer, keyed by strokeId in the order strokes were started.
+    // Layers are re-rendered from it, so undo/redo only flips a stroke's removed flag.
+    this.strokes = new Map();
+    
+    // Images of image strokes, downloaded from the server once they are drawn first
+    this.images = new ImageCache();
+    this.images.onLoad = () => this.renderAllLayers();
+    
+    // Orders remote operations so every client applies them in the same sequence
+    this.conflictResolver = new ConflictResolver();
     
     this.drawing = false;
-    this.lastPos = { x: 0, y: 0 };
+    this.currentStroke = null;
+    
+    // Segments of the stroke being drawn that are on its layer already (see freehand.js)
+    this.drawnSegments = 1;
+    
+    // Points of the stroke being drawn that were not sent yet; they go out as one chunk per frame
+    this.unsentPoints = [];
+    this.pointFlushScheduled = false;
+    
+    // Remote strokes in progress: strokeId -> how many of their segments are on screen so far
+    this.remoteProgress = new Map();
+    this.remoteFrameScheduled = false;
+    
+    // Strokes in progress whose brush needs a buffer (see brushes.js): strokeId -> { stroke, canvas, ctx }.
+    // They are drawn opaque there, shown as if composited on every frame and composited for real when they end.
+    this.liveStrokes = new Map();
+    
+    // Reusable canvases for compositing, by purpose
+    this.scratchCanvases = new Map();
+    
     this.mode = 'brush';
     this.strokeColor = '#000000';
     this.lineWidth = 5;
+    this.smoothing = 0.5;
+    
+    // Brush engine settings for new brush strokes, null for the plain round brush
+    this.brush = null;
+    this.fillShapes = false;
+    
+    // Paint bucket: how far colors may differ from the clicked one (0 to 1), and whether the
+    // area is found on all visible layers or only on the active one
+    this.fillTolerance = 0.2;
+    this.fillSampleAll = true;
+    this.fontSize = 24;
+    this.textAlign = 'left';
+    
+    // Shape being dragged out; only previewed on the display canvas until the pointer is released
+    this.currentShape = null;
+    
+    // Text box being typed into: { stroke, element, isNew, before }
+    this.textEditor = null;
+    
+    // Selected own strokes by strokeId, the move/scale/rotate/lasso drag in progress,
+    // and copies of strokes for Ctrl+C / Ctrl+V
+    this.selection = new Set();
+    this.selectionDrag = null;
+    this.clipboard = [];
+    this.pasteCount = 0;
     
+    // Strokes removed by the stroke eraser drag in progress, and the room rules for erasing
+    // other users' strokes (kept in sync with the server's room settings)
+    this.strokeErase = null;
+    this.roomSettings = { ownerId: null, roles: {}, settings: { erasePermission: 'own', defaultRole: 'editor' } };
+    
+    // Viewers can pan and zoom but not change anything; the server drops their changes anyway
+    this.readOnly = false;
+    
+    // History of own operations: { kind: 'draw' | 'clear' | 'delete' | 'erase', strokeIds },
+    // { kind: 'edit', strokeId, before, after } or { kind: 'transform', before, after }
     this.undoStack = [];
     this.redoStack = [];
-    this.MAX_STACK = 50;
     
     this.onStateChange = null;
     
@@ -27,92 +166,227 @@ export class CanvasManager {
   }
   
   initCanvas() {
+    const rect = this.canvas.getBoundingClientRect();
+    this.view.width = rect.width;
+    this.view.height = rect.height;
+    this.view.fit(0, 0, DOCUMENT_WIDTH, DOCUMENT_HEIGHT);
+    
     this.setCanvasSize();
     window.addEventListener('resize', () => this.setCanvasSize());
   }
   
-  // Resize canvas while preserving content and handling high-DPI displays
+  // Resize canvas for high-DPI displays and re-render every layer from the stroke model
   setCanvasSize() {
     const rect = this.canvas.getBoundingClientRect();
-    const userData = this.userCanvas.toDataURL();
-    
-    // Save all remote canvas data
-    const remoteDataMap = new Map();
-    for (const [userId, remoteCanvas] of this.remoteCanvases) {
-      remoteDataMap.set(userId, remoteCanvas.canvas.toDataURL());
-    }
-    
     const dpr = window.devicePixelRatio || 1;
     
     this.canvas.width = Math.floor(rect.width * dpr);
     this.canvas.height = Math.floor(rect.height * dpr);
-    this.userCanvas.width = this.canvas.width;
-    this.userCanvas.height = this.canvas.height;
-    
-    this.ctx.scale(dpr, dpr);
-    this.userCtx.scale(dpr, dpr);
-    
     this.ctx.imageSmoothingEnabled = true;
     this.ctx.imageSmoothingQuality = 'high';
-    this.userCtx.imageSmoothingEnabled = true;
-    this.userCtx.imageSmoothingQuality = 'high';
     
-    const userImg = new Image();
-    userImg.onload = () => {
-      this.userCtx.clearRect(0, 0, this.userCanvas.width, this.userCanvas.height);
-      this.userCtx.drawImage(userImg, 0, 0, rect.width, rect.height);
-      this.composeLayers();
-    };
-    userImg.src = userData;
-    
-    // Restore remote canvases
-    for (const [userId, dataUrl] of remoteDataMap) {
-      const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
-      const img = new Image();
-      img.onload = () => {
-        remoteCanvas.ctx.clearRect(0, 0, remoteCanvas.canvas.width, remoteCanvas.canvas.height);
-        remoteCanvas.ctx.drawImage(img, 0, 0, rect.width, rect.height);
-      };
-      img.src = dataUrl;
+    this.view.resize(rect.width, rect.height);
+    
+    this.resizeLayer(this.layerCanvas, this.layerCtx);
+    for (const surface of [...this.surfaces.values(), ...this.liveStrokes.values()]) {
+      this.resizeLayer(surface.canvas, surface.ctx);
+    }
+    
+    this.renderAllLayers();
+    this.layoutTextEditor();
+    if (this.onStateChange) this.onStateChange('view', this.view);
+  }
+  
+  // Apply a changed view transform: re-render on the next frame so fast gestures stay smooth
+  updateView() {
+    for (const surface of [...this.surfaces.values(), ...this.liveStrokes.values()]) {
+      this.applyViewTransform(surface.ctx);
+    }
+    
+    if (!this.renderScheduled) {
+      this.renderScheduled = true;
+      requestAnimationFrame(() => {
+        this.renderScheduled = false;
+        this.renderAllLayers();
+      });
     }
+    this.layoutTextEditor();
+    if (this.onStateChange) this.onStateChange('view', this.view);
+  }
+  
+  zoomAt(x, y, factor) {
+    this.view.zoomAt(x, y, factor);
+    this.updateView();
+  }
+  
+  panBy(dx, dy) {
+    this.view.panBy(dx, dy);
+    this.updateView();
+  }
+  
+  // Frame the home document area again
+  resetView() {
+    this.view.fit(0, 0, DOCUMENT_WIDTH, DOCUMENT_HEIGHT);
+    this.updateView();
+  }
+  
+  // Match a layer to the display canvas and draw into it in document coordinates
+  resizeLayer(canvas, ctx) {
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    this.applyViewTransform(ctx);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+  }
+  
+  applyViewTransform(ctx) {
+    this.view.applyTo(ctx, window.devicePixelRatio || 1);
+  }
+  
+  // Convert between document coordinates and CSS pixels relative to the canvas element
+  documentToScreen(pos) {
+    return this.view.worldToScreen(pos);
   }
   
-  // Get or create a canvas for a remote user
-  getOrCreateRemoteCanvas(userId) {
-    if (!this.remoteCanvases.has(userId)) {
+  screenToDocument(x, y) {
+    return this.view.screenToWorld(x, y);
+  }
+  
+  // Get or create the surface a user draws on within a layer
+  getSurface(layerId, userId) {
+    const key = `${layerId}\n${userId}`;
+    if (!this.surfaces.has(key)) {
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d', { alpha: true });
       
-      const dpr = window.devicePixelRatio || 1;
-      canvas.width = this.canvas.width;
-      canvas.height = this.canvas.height;
-      
-      ctx.scale(dpr, dpr);
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-      
-      this.remoteCanvases.set(userId, { canvas, ctx });
+      this.resizeLayer(canvas, ctx);
+      this.surfaces.set(key, { layerId, userId, canvas, ctx });
     }
-    return this.remoteCanvases.get(userId);
+    return this.surfaces.get(key);
   }
   
-  // Merge user's own drawings and remote users' drawings onto the display canvas
-  composeLayers() {
-    const rect = this.canvas.getBoundingClientRect();
+  getStrokeSurface(stroke) {
+    return this.getSurface(getStrokeLayerId(stroke), stroke.userId);
+  }
+  
+  // Cleared canvas of the given size for compositing, with an identity transform
+  getScratchCanvas(purpose, width, height) {
+    let scratch = this.scratchCanvases.get(purpose);
+    if (!scratch) {
+      const canvas = document.createElement('canvas');
+      scratch = { canvas, ctx: canvas.getContext('2d', { alpha: true }) };
+      this.scratchCanvases.set(purpose, scratch);
+    }
     
+    if (scratch.canvas.width !== width || scratch.canvas.height !== height) {
+      scratch.canvas.width = width;
+      scratch.canvas.height = height;
+    }
+    scratch.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    scratch.ctx.clearRect(0, 0, width, height);
+    return scratch;
+  }
+  
+  // Surfaces of one layer, stacked by userId so overlapping strokes look the same on every client
+  getLayerSurfaces(layerId) {
+    return Array.from(this.surfaces.values())
+      .filter(surface => surface.layerId === layerId)
+      .sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0));
+  }
+  
+  // Merge every visible layer onto the display canvas, bottom to top
+  composeLayers() {
     this.ctx.save();
     this.ctx.setTransform(1, 0, 0, 1, 0, 0);
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    
+    this.drawGrid();
+    this.drawLayers(this.ctx);
+    
+    // Rubber-band preview of the shape being dragged
+    if (this.currentShape) {
+      this.applyViewTransform(this.ctx);
+      drawShape(this.ctx, this.currentShape);
+    }
+    
+    const selectionBounds = this.getSelectionBounds();
+    if (selectionBounds || (this.selectionDrag && this.selectionDrag.kind === 'lasso')) {
+      this.applyViewTransform(this.ctx);
+      if (selectionBounds) drawSelection(this.ctx, selectionBounds, this.view.scale);
+      if (this.selectionDrag && this.selectionDrag.kind === 'lasso') {
+        drawLasso(this.ctx, this.selectionDrag.points, this.view.scale);
+      }
+    }
+    
     this.ctx.restore();
+  }
+  
+  // Draw the visible layers, or only the one with layerId, bottom to top onto ctx in pixels
+  drawLayers(ctx, layerId = null) {
+    ctx.globalCompositeOperation = 'source-over';
+    for (const layer of this.layers) {
+      if (!layer.visible || (layerId && layer.layerId !== layerId)) continue;
+      
+      const surfaces = this.getLayerSurfaces(layer.layerId);
+      if (layer.opacity >= 1) {
+        for (const surface of surfaces) {
+          this.drawSurface(ctx, surface);
+        }
+        continue;
+      }
+      
+      // Fade the layer as a whole, so strokes of different users overlap as they do at full opacity
+      this.clearLayer(this.layerCtx, this.layerCanvas);
+      this.layerCtx.save();
+      this.layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      for (const surface of surfaces) {
+        this.drawSurface(this.layerCtx, surface);
+      }
+      this.layerCtx.restore();
+      ctx.globalAlpha = layer.opacity;
+      ctx.drawImage(this.layerCanvas, 0, 0);
+      ctx.globalAlpha = 1;
+    }
+  }
+  
+  // Draw a surface in pixels, with its strokes in progress composited as they will be once they end
+  drawSurface(ctx, surface) {
+    const live = Array.from(this.liveStrokes.values()).filter(({ stroke }) =>
+      !stroke.removed && stroke.userId === surface.userId && getStrokeLayerId(stroke) === surface.layerId);
+    if (live.length === 0) {
+      ctx.drawImage(surface.canvas, 0, 0);
+      return;
+    }
+    
+    const preview = this.getScratchCanvas('surface', surface.canvas.width, surface.canvas.height);
+    preview.ctx.drawImage(surface.canvas, 0, 0);
+    for (const entry of live) {
+      this.compositeLiveStroke(preview.ctx, entry);
+    }
+    ctx.drawImage(preview.canvas, 0, 0);
+  }
+  
+  // Background grid drawn in world space so it moves with pan and zoom
+  drawGrid() {
+    const dpr = window.devicePixelRatio || 1;
+    let spacing = GRID_SIZE * this.view.scale;
+    while (spacing < MIN_GRID_SPACING) spacing *= 5;
     
-    // Draw user's canvas first
-    this.ctx.globalCompositeOperation = 'source-over';
-    this.ctx.drawImage(this.userCanvas, 0, 0, rect.width, rect.height);
+    const startX = ((this.view.offsetX % spacing) + spacing) % spacing;
+    const startY = ((this.view.offsetY % spacing) + spacing) % spacing;
     
-    // Draw each remote user's canvas on top
-    for (const [userId, remoteCanvas] of this.remoteCanvases) {
-      this.ctx.drawImage(remoteCanvas.canvas, 0, 0, rect.width, rect.height);
+    this.ctx.strokeStyle = 'rgba(0,0,0,0.05)';
+    this.ctx.lineWidth = dpr;
+    this.ctx.beginPath();
+    for (let x = startX; x < this.view.width; x += spacing) {
+      this.ctx.moveTo(Math.round(x * dpr) + 0.5, 0);
+      this.ctx.lineTo(Math.round(x * dpr) + 0.5, this.canvas.height);
     }
+    for (let y = startY; y < this.view.height; y += spacing) {
+      this.ctx.moveTo(0, Math.round(y * dpr) + 0.5);
+      this.ctx.lineTo(this.canvas.width, Math.round(y * dpr) + 0.5);
+    }
+    this.ctx.stroke();
   }
   
   setupEventListeners() {
@@ -121,260 +395,1627 @@ export class CanvasManager {
     this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
     this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
     this.canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+    
+    window.addEventListener('keydown', (e) => {
+      if (e.code === 'Space' && !isEditableTarget(e.target)) {
+        // Keep the page from scrolling while space is held for panning
+        e.preventDefault();
+        this.spacePressed = true;
+        this.canvas.classList.add('pan-ready');
+      }
+    });
+    window.addEventListener('keyup', (e) => {
+      if (e.code === 'Space') {
+        this.spacePressed = false;
+        this.canvas.classList.remove('pan-ready');
+      }
+    });
   }
   
-  getPointerPos(e) {
+  // Pointer position in CSS pixels relative to the canvas element
+  getScreenPos(e) {
     const rect = this.canvas.getBoundingClientRect();
-    return {
-      x: (e.clientX - rect.left),
-      y: (e.clientY - rect.top)
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+  
+  // Pointer position in document coordinates
+  getPointerPos(e) {
+    const screenPos = this.getScreenPos(e);
+    return this.screenToDocument(screenPos.x, screenPos.y);
+  }
+  
+  // Ctrl+wheel (and trackpad pinch) zooms around the cursor, plain wheel (two-finger scroll) pans
+  handleWheel(e) {
+    e.preventDefault();
+    const pos = this.getScreenPos(e);
+    
+    if (e.ctrlKey || e.metaKey) {
+      this.zoomAt(pos.x, pos.y, Math.exp(-e.deltaY * WHEEL_ZOOM_STEP * (e.deltaMode === 1 ? 20 : 1)));
+    } else {
+      this.panBy(-e.deltaX, -e.deltaY);
+    }
+  }
+  
+  // Two touch pointers switch from drawing to a pan/pinch gesture
+  startGesture() {
+    if (this.drawing) this.finishStroke();
+    this.currentShape = null;
+    
+    const [a, b] = Array.from(this.touchPointers.values());
+    this.gesture = {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.hypot(a.x - b.x, a.y - b.y) || 1
     };
   }
   
+  updateGesture() {
+    const [a, b] = Array.from(this.touchPointers.values());
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const distance = Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    
+    this.view.panBy(center.x - this.gesture.center.x, center.y - this.gesture.center.y);
+    this.view.zoomAt(center.x, center.y, distance / this.gesture.distance);
+    this.gesture = { center, distance };
+    this.updateView();
+  }
+  
   // Capture pointer to prevent losing events if cursor leaves canvas during drawing
   handlePointerDown(e) {
+    if (e.pointerType === 'touch') {
+      this.touchPointers.set(e.pointerId, this.getScreenPos(e));
+      if (this.touchPointers.size === 2) {
+        this.startGesture();
+        return;
+      }
+      if (this.touchPointers.size > 2) return;
+    }
+    
+    if (e.button === 1 || (this.spacePressed && e.button === 0)) {
+      e.preventDefault();
+      this.canvas.setPointerCapture(e.pointerId);
+      this.panning = { pointerId: e.pointerId, last: this.getScreenPos(e) };
+      this.canvas.classList.add('panning');
+      return;
+    }
+    
     if (e.button !== undefined && e.button !== 0) return;
+    if (this.readOnly) return;
+    
+    // Clicking the canvas commits an open text box; with the text tool that is all the click does
+    if (this.textEditor) {
+      this.finishTextEdit();
+      if (this.mode === 'text') return;
+    }
+    
+    if (this.mode === 'text') {
+      const pos = this.getPointerPos(e);
+      const existing = this.getTextAt(pos);
+      if (existing || this.checkActiveLayer()) this.startTextEdit(pos, existing);
+      return;
+    }
     
     this.canvas.setPointerCapture(e.pointerId);
-    this.pushUndo();
     
-    this.drawing = true;
-    this.lastPos = this.getPointerPos(e);
+    if (this.mode === 'select') {
+      this.startSelectionDrag(this.getPointerPos(e), e.shiftKey);
+      return;
+    }
     
-    this.userCtx.lineCap = 'round';
-    this.userCtx.lineJoin = 'round';
-    this.userCtx.lineWidth = this.lineWidth;
+    if (this.mode === 'stroke-eraser') {
+      this.strokeErase = { strokeIds: [] };
+      this.eraseStrokesAt(this.getPointerPos(e));
+      return;
+    }
     
-    if (this.mode === 'eraser') {
-      this.userCtx.globalCompositeOperation = 'destination-out';
-      this.userCtx.strokeStyle = 'rgba(0,0,0,1)';
-    } else {
-      this.userCtx.globalCompositeOperation = 'source-over';
-      this.userCtx.strokeStyle = this.strokeColor;
+    if (!this.checkActiveLayer()) return;
+    
+    if (this.mode === 'fill') {
+      this.fillAt(this.getScreenPos(e));
+      return;
+    }
+    
+    if (isShapeTool(this.mode)) {
+      const start = this.getPointerPos(e);
+      this.currentShape = {
+        strokeId: this.generateStrokeId(),
+        userId: this.userId,
+        layerId: this.activeLayerId,
+        mode: this.mode,
+        color: this.strokeColor,
+        width: this.lineWidth,
+        fill: this.fillShapes,
+        points: [start, start],
+        removed: false
+      };
+      return;
     }
     
-    this.userCtx.beginPath();
-    this.userCtx.moveTo(this.lastPos.x, this.lastPos.y);
+    this.drawing = true;
+    this.drawnSegments = 1;
+    const start = this.getStrokePoint(e);
+    this.currentStroke = {
+      strokeId: this.generateStrokeId(),
+      userId: this.userId,
+      layerId: this.activeLayerId,
+      mode: this.mode,
+      color: this.strokeColor,
+      width: this.lineWidth,
+      smoothing: this.smoothing,
+      brush: this.mode === 'brush' && this.brush ? this.brush : undefined,
+      points: [start],
+      removed: false
+    };
+    this.strokes.set(this.currentStroke.strokeId, this.currentStroke);
     
     // Send drawing events for both brush and eraser
-    this.emitDrawEvent('start', this.lastPos);
+    this.emitDrawEvent('start', start);
+  }
+  
+  // Stroke point under the pointer, with pen pressure, in the form it has after sending
+  getStrokePoint(e) {
+    const pos = this.getPointerPos(e);
+    return quantizePoint({ x: pos.x, y: pos.y, p: getPenPressure(e) });
   }
   
   handlePointerMove(e) {
-    if (!this.drawing) return;
+    if (this.touchPointers.has(e.pointerId)) {
+      this.touchPointers.set(e.pointerId, this.getScreenPos(e));
+      if (this.gesture && this.touchPointers.size === 2) {
+        this.updateGesture();
+        return;
+      }
+    }
     
-    const pos = this.getPointerPos(e);
-    this.userCtx.lineTo(pos.x, pos.y);
-    this.userCtx.stroke();
-    this.lastPos = pos;
+    if (this.panning && this.panning.pointerId === e.pointerId) {
+      const pos = this.getScreenPos(e);
+      this.panBy(pos.x - this.panning.last.x, pos.y - this.panning.last.y);
+      this.panning.last = pos;
+      return;
+    }
+    
+    if (this.selectionDrag) {
+      this.updateSelectionDrag(this.getPointerPos(e), e.shiftKey);
+      return;
+    }
+    
+    if (this.strokeErase) {
+      this.eraseStrokesAt(this.getPointerPos(e));
+      return;
+    }
+    
+    if (this.currentShape) {
+      const start = this.currentShape.points[0];
+      const end = this.getPointerPos(e);
+      this.currentShape.points[1] = e.shiftKey ? constrainShapeEnd(this.currentShape.mode, start, end) : end;
+      this.composeLayers();
+      return;
+    }
+    
+    if (!this.drawing || this.gesture) return;
+    
+    // Browsers deliver one move event per frame; the points in between come with it
+    const coalesced = typeof e.getCoalescedEvents === 'function' ? e.getCoalescedEvents() : [];
+    for (const event of coalesced.length > 0 ? coalesced : [e]) {
+      const point = this.getStrokePoint(event);
+      this.currentStroke.points.push(point);
+      this.queuePoint(point);
+    }
+    this.drawStrokeProgress(this.currentStroke, false);
     
     // Update display canvas in real-time
     this.composeLayers();
-    
-    // Send drawing events for both brush and eraser
-    this.emitDrawEvent('move', pos);
   }
   
   handlePointerUp(e) {
-    if (!this.drawing) return;
+    this.touchPointers.delete(e.pointerId);
+    if (this.gesture) {
+      if (this.touchPointers.size === 0) this.gesture = null;
+      return;
+    }
     
-    this.drawing = false;
-    this.userCtx.closePath();
-    this.redoStack.length = 0;
+    if (this.panning && this.panning.pointerId === e.pointerId) {
+      this.panning = null;
+      this.canvas.classList.remove('panning');
+      return;
+    }
+    
+    if (!this.drawing && !this.currentShape && !this.selectionDrag && !this.strokeErase) return;
     
     try {
       this.canvas.releasePointerCapture(e.pointerId);
     } catch (err) {}
     
-    // Send drawing events for both brush and eraser
-    this.emitDrawEvent('end', this.lastPos);
+    if (this.strokeErase) {
+      this.finishStrokeErase();
+    } else if (this.selectionDrag) {
+      this.finishSelectionDrag();
+    } else if (this.currentShape) {
+      this.finishShape();
+    } else {
+      this.finishStroke();
+    }
+  }
+  
+  // Commit the dragged shape to the user's layer and send it as a single operation
+  finishShape() {
+    const shape = this.currentShape;
+    this.currentShape = null;
+    
+    if (isDegenerateShape(shape)) {
+      this.composeLayers();
+      return;
+    }
     
+    this.strokes.set(shape.strokeId, shape);
+    this.renderStroke(this.getStrokeSurface(shape).ctx, shape);
+    this.pushHistory({ kind: 'draw', strokeIds: [shape.strokeId] });
     this.composeLayers();
+    
+    if (this.onStateChange) {
+      this.onStateChange('draw', {
+        type: 'shape',
+        strokeId: shape.strokeId,
+        layerId: shape.layerId,
+        mode: shape.mode,
+        color: shape.color,
+        width: shape.width,
+        fill: shape.fill,
+        points: shape.points
+      });
+    }
   }
   
-  setMode(mode) {
-    this.mode = mode;
-    if (this.onStateChange) this.onStateChange('mode', mode);
+  // Fill the area around a point on screen (CSS pixels) with the stroke color. The area is
+  // found on the same composition of layers the display shows and goes out as a mask.
+  fillAt(screenPos) {
+    const dpr = window.devicePixelRatio || 1;
+    const { width, height } = this.canvas;
+    const sample = this.getScratchCanvas('fill', width, height);
+    this.drawLayers(sample.ctx, this.fillSampleAll ? null : this.activeLayerId);
+    
+    const image = sample.ctx.getImageData(0, 0, width, height);
+    const area = floodFill(image, Math.floor(screenPos.x * dpr), Math.floor(screenPos.y * dpr), this.fillTolerance);
+    if (!area) return;
+    if (area.mask.width > MAX_MASK_SIZE || area.mask.height > MAX_MASK_SIZE) {
+      if (this.onStateChange) this.onStateChange('fill-too-large');
+      return;
+    }
+    if (area.mask.runs.length > MAX_MASK_RUNS) {
+      if (this.onStateChange) this.onStateChange('fill-blocked');
+      return;
+    }
+    
+    const stroke = {
+      strokeId: this.generateStrokeId(),
+      userId: this.userId,
+      layerId: this.activeLayerId,
+      mode: 'fill',
+      color: this.strokeColor,
+      points: [
+        this.screenToDocument(area.x / dpr, area.y / dpr),
+        this.screenToDocument((area.x + area.mask.width) / dpr, (area.y + area.mask.height) / dpr)
+      ],
+      mask: area.mask,
+      complete: true,
+      removed: false
+    };
+    this.strokes.set(stroke.strokeId, stroke);
+    this.renderStroke(this.getStrokeSurface(stroke).ctx, stroke);
+    this.pushHistory({ kind: 'draw', strokeIds: [stroke.strokeId] });
+    this.composeLayers();
+    
+    if (this.onStateChange) this.onStateChange('draw', this.getStrokeEvent(stroke));
   }
   
-  setColor(color) {
-    this.strokeColor = color;
-    if (this.onStateChange) this.onStateChange('color', color);
+  // Double-clicking one of your own text objects opens it for editing with any tool
+  handleDoubleClick(e) {
+    if (this.readOnly) return;
+    
+    const pos = this.getPointerPos(e);
+    const stroke = this.getTextAt(pos);
+    if (stroke) this.startTextEdit(pos, stroke);
   }
   
-  setLineWidth(width) {
-    this.lineWidth = width;
-    if (this.onStateChange) this.onStateChange('width', width);
+  // Topmost visible text object of this user under a document position
+  getTextAt(pos) {
+    const strokes = Array.from(this.strokes.values()).reverse();
+    return strokes.find(stroke => {
+      if (!isTextStroke(stroke) || stroke.userId !== this.userId || stroke.removed) return false;
+      if (!this.isLayerEditable(getStrokeLayerId(stroke))) return false;
+      return hitTestStroke(this.ctx, stroke, pos, 0);
+    }) || null;
   }
   
-  pushUndo() {
-    if (this.undoStack.length >= this.MAX_STACK) this.undoStack.shift();
-    this.undoStack.push(this.userCanvas.toDataURL());
+  // Open a text box over the canvas, for a new text object at pos or an existing one.
+  // The canvas renders the text; the textarea only provides the caret, selection and input.
+  startTextEdit(pos, existing = null) {
+    this.finishTextEdit();
+    
+    const stroke = existing || {
+      strokeId: this.generateStrokeId(),
+      userId: this.userId,
+      layerId: this.activeLayerId,
+      mode: 'text',
+      color: this.strokeColor,
+      fontSize: this.fontSize,
+      align: this.textAlign,
+      text: '',
+      points: [pos],
+      removed: false
+    };
+    
+    const element = document.createElement('textarea');
+    element.className = 'text-editor';
+    element.wrap = 'off';
+    element.spellcheck = false;
+    element.value = stroke.text;
+    element.addEventListener('input', () => this.handleTextInput());
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' || (e.key === 'Enter' && (e.ctrlKey || e.metaKey))) {
+        e.preventDefault();
+        this.finishTextEdit();
+      }
+    });
+    this.canvas.parentElement.appendChild(element);
+    
+    this.textEditor = {
+      stroke,
+      element,
+      isNew: !existing,
+      before: existing ? getTextProps(existing) : null
+    };
+    this.layoutTextEditor();
+    
+    // Focus after the click that opened the box has finished moving focus to the canvas
+    setTimeout(() => {
+      element.focus();
+      element.setSelectionRange(element.value.length, element.value.length);
+    });
   }
   
-  undo() {
-    if (this.undoStack.length === 0) return Promise.resolve(false);
+  // Keep the text box on top of the rendered text at the current zoom
+  layoutTextEditor() {
+    if (!this.textEditor) return;
+    
+    const { stroke, element } = this.textEditor;
+    const bounds = getTextBounds(this.ctx, stroke, stroke.fontSize / 2);
+    const topLeft = this.documentToScreen({ x: bounds.minX, y: bounds.minY });
+    const scale = this.view.scale;
+    // Extra room for the caret, added on the side the text grows towards
+    const caretRoom = stroke.fontSize * scale / 2;
+    const left = topLeft.x - caretRoom * getAlignOffset(stroke.align);
     
-    this.redoStack.push(this.userCanvas.toDataURL());
-    const dataUrl = this.undoStack.pop();
-    return this.applyDataUrl(dataUrl).then(() => true);
+    element.style.left = left + 'px';
+    element.style.top = topLeft.y + 'px';
+    element.style.width = (bounds.maxX - bounds.minX) * scale + caretRoom + 'px';
+    element.style.height = (bounds.maxY - bounds.minY) * scale + 'px';
+    element.style.font = `${stroke.fontSize * scale}px ${TEXT_FONT_FAMILY}`;
+    element.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    element.style.textAlign = stroke.align;
+    element.style.caretColor = stroke.color;
+    
+    // A moved, scaled or rotated text object gets the same transform, expressed in screen space
+    if (stroke.transform) {
+      const view = [scale, 0, 0, scale, this.view.offsetX, this.view.offsetY];
+      const matrix = multiply(multiply(view, stroke.transform), invert(view));
+      element.style.transformOrigin = `${-left}px ${-topLeft.y}px`;
+      element.style.transform = `matrix(${matrix.join(',')})`;
+    } else {
+      element.style.transform = '';
+    }
   }
   
-  redo() {
-    if (this.redoStack.length === 0) return Promise.resolve(false);
-    
-    this.undoStack.push(this.userCanvas.toDataURL());
-    const dataUrl = this.redoStack.pop();
-    return this.applyDataUrl(dataUrl).then(() => true);
-  }
-  
-  applyDataUrl(dataUrl) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        const rect = this.canvas.getBoundingClientRect();
-        this.userCtx.save();
-        this.userCtx.setTransform(1, 0, 0, 1, 0, 0);
-        this.userCtx.clearRect(0, 0, this.userCanvas.width, this.userCanvas.height);
-        this.userCtx.restore();
-        this.userCtx.globalCompositeOperation = 'source-over';
-        this.userCtx.drawImage(img, 0, 0, rect.width, rect.height);
-        this.composeLayers();
-        resolve();
-      };
-      img.onerror = () => {
-        console.error('Failed to apply canvas data');
-        reject(new Error('Failed to load image'));
-      };
-      img.src = dataUrl;
-    });
+  // Every change is synced right away so peers see the text as it is typed
+  handleTextInput() {
+    const { stroke, element } = this.textEditor;
+    stroke.text = element.value;
+    
+    if (!this.strokes.has(stroke.strokeId)) {
+      // A new text object only exists once something has been typed
+      if (!stroke.text) return;
+      this.strokes.set(stroke.strokeId, stroke);
+    }
+    
+    this.renderUserStrokes(this.userId);
+    this.layoutTextEditor();
+    this.emitTextEvent(stroke);
   }
   
-  clear() {
-    this.pushUndo();
-    this.userCtx.save();
-    this.userCtx.setTransform(1, 0, 0, 1, 0, 0);
-    this.userCtx.clearRect(0, 0, this.userCanvas.width, this.userCanvas.height);
-    this.userCtx.restore();
-    this.redoStack.length = 0;
-    this.composeLayers();
+  // Apply sidebar changes (color, font size, alignment) to the text box being edited
+  updateEditingText(props) {
+    if (!this.textEditor) return;
+    
+    Object.assign(this.textEditor.stroke, props);
+    this.layoutTextEditor();
+    if (this.strokes.has(this.textEditor.stroke.strokeId)) {
+      this.renderUserStrokes(this.userId);
+      this.emitTextEvent(this.textEditor.stroke);
+    }
   }
   
-  clearRemoteCanvas(userId) {
-    // Clear only a specific user's remote canvas (when they clear their drawings)
-    if (!userId) {
-      console.warn('clearRemoteCanvas called without userId');
-      return;
-    }
+  // Close the text box and record the typing session as one undoable operation
+  finishTextEdit() {
+    if (!this.textEditor) return;
     
-    const remoteCanvas = this.remoteCanvases.get(userId);
-    if (remoteCanvas) {
-      remoteCanvas.ctx.save();
-      remoteCanvas.ctx.setTransform(1, 0, 0, 1, 0, 0);
-      remoteCanvas.ctx.clearRect(0, 0, remoteCanvas.canvas.width, remoteCanvas.canvas.height);
-      remoteCanvas.ctx.restore();
-      this.composeLayers();
+    const { stroke, element, isNew, before } = this.textEditor;
+    this.textEditor = null;
+    element.remove();
+    
+    if (isNew) {
+      if (this.strokes.has(stroke.strokeId)) {
+        this.pushHistory({ kind: 'draw', strokeIds: [stroke.strokeId] });
+      }
+    } else {
+      const after = getTextProps(stroke);
+      if (!sameTextProps(before, after)) {
+        this.pushHistory({ kind: 'edit', strokeId: stroke.strokeId, before, after });
+      }
     }
+    
+    this.composeLayers();
   }
   
-  removeRemoteUser(userId) {
-    // Remove a user's canvas when they leave
-    if (this.remoteCanvases.has(userId)) {
-      this.remoteCanvases.delete(userId);
-      this.composeLayers();
-    }
+  isEditingText() {
+    return this.textEditor !== null;
   }
   
-  updateRemoteCanvas(userId, dataUrl) {
-    // Update a specific user's canvas with new data (for undo/redo sync)
-    if (!userId || !dataUrl) {
-      console.warn('updateRemoteCanvas called with invalid parameters', { userId, hasDataUrl: !!dataUrl });
-      return;
-    }
+  // Whether keyboard input currently goes into the open text box
+  isTextEditorFocused() {
+    return !!this.textEditor && document.activeElement === this.textEditor.element;
+  }
+  
+  // Put a text object back to earlier content during undo/redo; returns the update to broadcast
+  applyTextEdit(strokeId, props) {
+    const stroke = this.strokes.get(strokeId);
+    if (!stroke) return null;
     
-    console.log('Updating remote canvas for user:', userId);
-    const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
-    const img = new Image();
-    img.onload = () => {
-      const rect = this.canvas.getBoundingClientRect();
-      remoteCanvas.ctx.save();
-      remoteCanvas.ctx.setTransform(1, 0, 0, 1, 0, 0);
-      remoteCanvas.ctx.clearRect(0, 0, remoteCanvas.canvas.width, remoteCanvas.canvas.height);
-      remoteCanvas.ctx.restore();
-      remoteCanvas.ctx.globalCompositeOperation = 'source-over';
-      remoteCanvas.ctx.drawImage(img, 0, 0, rect.width, rect.height);
-      console.log('Remote canvas updated and composing layers');
-      this.composeLayers();
-    };
-    img.onerror = () => {
-      console.error('Failed to load image for remote canvas update');
-    };
-    img.src = dataUrl;
+    Object.assign(stroke, props);
+    this.renderUserStrokes(stroke.userId);
+    return { drawing: this.getTextEvent(stroke) };
   }
   
-  download(filename = 'canvas.png') {
-    const a = document.createElement('a');
-    a.href = this.canvas.toDataURL('image/png');
-    a.download = filename;
-    a.click();
+  // Own strokes that can be picked by the selection tool; eraser strokes have nothing to grab,
+  // and strokes on hidden or locked layers stay where they are
+  isSelectable(stroke) {
+    return stroke.userId === this.userId && !stroke.removed && stroke.mode !== 'eraser' &&
+      stroke.complete !== false && !(isTextStroke(stroke) && !stroke.text) &&
+      this.isLayerEditable(getStrokeLayerId(stroke));
   }
   
-  emitDrawEvent(type, pos) {
-    if (this.onStateChange) {
-      this.onStateChange('draw', {
-        type,
-        pos,
-        mode: this.mode,
-        color: this.strokeColor,
-        width: this.lineWidth
-      });
+  getSelectedStrokes() {
+    const strokes = [];
+    for (const strokeId of this.selection) {
+      const stroke = this.strokes.get(strokeId);
+      if (stroke && this.isSelectable(stroke)) strokes.push(stroke);
     }
+    return strokes;
   }
   
-  // Draw remote user strokes on their separate canvas layer (including eraser strokes)
-  applyRemoteDrawing(drawData) {
-    const { type, pos, mode, color, width, userId } = drawData;
-    
-    if (!userId) {
-      console.warn('Drawing data missing userId:', drawData);
-      return;
+  getSelectionBounds() {
+    let bounds = null;
+    for (const stroke of this.getSelectedStrokes()) {
+      bounds = unionBounds(bounds, getStrokeBounds(this.ctx, stroke));
     }
+    return bounds;
+  }
+  
+  // Topmost selectable stroke under a document position
+  getSelectableAt(pos) {
+    const tolerance = SELECT_TOLERANCE / this.view.scale;
+    const strokes = Array.from(this.strokes.values()).reverse();
+    return strokes.find(stroke => this.isSelectable(stroke) && hitTestStroke(this.ctx, stroke, pos, tolerance)) || null;
+  }
+  
+  setSelection(strokeIds) {
+    this.selection = new Set(strokeIds);
+    this.composeLayers();
+    if (this.onStateChange) this.onStateChange('selection', this.selection.size);
+  }
+  
+  clearSelection() {
+    if (this.selection.size > 0) this.setSelection([]);
+  }
+  
+  // Decide what a press with the selection tool does: drag a handle, move the selection,
+  // pick the stroke under the pointer (Shift adds or removes it) or start a lasso
+  startSelectionDrag(pos, additive) {
+    const bounds = this.getSelectionBounds();
+    const handle = bounds && getHandleAt(bounds, pos, this.view.scale);
+    const insideBounds = bounds && pos.x >= bounds.minX && pos.x <= bounds.maxX &&
+      pos.y >= bounds.minY && pos.y <= bounds.maxY;
+    
+    if (!handle && (!insideBounds || additive)) {
+      const stroke = this.getSelectableAt(pos);
+      
+      if (!stroke) {
+        if (!additive) this.clearSelection();
+        this.selectionDrag = { kind: 'lasso', points: [pos], additive };
+        return;
+      }
+      
+      if (additive) {
+        const strokeIds = new Set(this.selection);
+        if (strokeIds.has(stroke.strokeId)) {
+          strokeIds.delete(stroke.strokeId);
+        } else {
+          strokeIds.add(stroke.strokeId);
+        }
+        this.setSelection(strokeIds);
+        return;
+      }
+      
+      if (!this.selection.has(stroke.strokeId)) {
+        this.setSelection([stroke.strokeId]);
+      }
+    }
+    
+    // Remember each stroke's transform so every drag step is applied to the original
+    const originals = new Map();
+    for (const stroke of this.getSelectedStrokes()) {
+      originals.set(stroke.strokeId, stroke.transform || IDENTITY);
+    }
+    
+    this.selectionDrag = {
+      kind: handle === 'rotate' ? 'rotate' : handle ? 'scale' : 'move',
+      handle,
+      start: pos,
+      bounds: this.getSelectionBounds(),
+      originals,
+      matrix: IDENTITY
+    };
+  }
+  
+  updateSelectionDrag(pos, constrain) {
+    const drag = this.selectionDrag;
+    
+    if (drag.kind === 'lasso') {
+      drag.points.push(pos);
+      this.composeLayers();
+      return;
+    }
+    
+    drag.matrix = this.getDragMatrix(drag, pos, constrain);
+    for (const [strokeId, original] of drag.originals) {
+      const stroke = this.strokes.get(strokeId);
+      if (stroke) stroke.transform = multiply(drag.matrix, original);
+    }
+    this.renderUserStrokes(this.userId);
+  }
+  
+  // Transform for the current drag position; Shift keeps proportions or snaps the angle
+  getDragMatrix(drag, pos, constrain) {
+    const { bounds, start } = drag;
+    
+    if (drag.kind === 'move') {
+      return translation(pos.x - start.x, pos.y - start.y);
+    }
+    
+    if (drag.kind === 'rotate') {
+      const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+      let angle = Math.atan2(pos.y - center.y, pos.x - center.x) - Math.atan2(start.y - center.y, start.x - center.x);
+      if (constrain) angle = Math.round(angle / ROTATE_SNAP) * ROTATE_SNAP;
+      return rotation(angle, center);
+    }
+    
+    const handles = getSelectionHandles(bounds, this.view.scale);
+    const corner = handles[drag.handle];
+    const anchor = handles[getOppositeHandle(drag.handle)];
+    const spanX = corner.x - anchor.x;
+    const spanY = corner.y - anchor.y;
+    let sx = Math.abs(spanX) > 1e-6 ? (pos.x - anchor.x) / spanX : 1;
+    let sy = Math.abs(spanY) > 1e-6 ? (pos.y - anchor.y) / spanY : 1;
+    
+    if (constrain) {
+      sx = sy = Math.abs(sx) > Math.abs(sy) ? sx : sy;
+    }
+    // Never collapse the selection to nothing, it could not be grabbed again
+    sx = Math.abs(sx) < 0.01 ? 0.01 : sx;
+    sy = Math.abs(sy) < 0.01 ? 0.01 : sy;
+    
+    return scaling(sx, sy, anchor);
+  }
+  
+  // Commit a lasso as the new selection, or a move/scale/rotate as one undoable operation
+  finishSelectionDrag() {
+    const drag = this.selectionDrag;
+    this.selectionDrag = null;
+    
+    if (drag.kind === 'lasso') {
+      const picked = [];
+      if (drag.points.length >= 3) {
+        for (const stroke of this.strokes.values()) {
+          if (this.isSelectable(stroke) && strokeInLasso(this.ctx, stroke, drag.points)) {
+            picked.push(stroke.strokeId);
+          }
+        }
+      }
+      this.setSelection(drag.additive ? [...this.selection, ...picked] : picked);
+      return;
+    }
+    
+    if (isIdentity(drag.matrix)) {
+      this.composeLayers();
+      return;
+    }
+    
+    const before = [];
+    const after = [];
+    for (const [strokeId, original] of drag.originals) {
+      const stroke = this.strokes.get(strokeId);
+      if (!stroke) continue;
+      before.push({ strokeId, transform: original });
+      after.push({ strokeId, transform: stroke.transform });
+    }
+    
+    this.pushHistory({ kind: 'transform', before, after });
+    this.composeLayers();
+    if (this.onStateChange) this.onStateChange('transform', after);
+  }
+  
+  // Set absolute stroke transforms (undo/redo of a transform); returns the update to broadcast
+  applyTransforms(transforms) {
+    for (const { strokeId, transform } of transforms) {
+      const stroke = this.strokes.get(strokeId);
+      if (stroke) stroke.transform = transform;
+    }
+    this.renderUserStrokes(this.userId);
+    return { transforms };
+  }
+  
+  // Remove the selected strokes as one undoable operation; returns the change to broadcast
+  deleteSelection() {
+    const strokeIds = this.getSelectedStrokes().map(stroke => stroke.strokeId);
+    this.clearSelection();
+    if (strokeIds.length === 0) return null;
+    
+    this.pushHistory({ kind: 'delete', strokeIds });
+    return this.setStrokesRemoved(this.userId, strokeIds, true);
+  }
+  
+  copySelection() {
+    const strokes = this.getSelectedStrokes();
+    if (strokes.length === 0) return false;
+    
+    this.clipboard = strokes.map(stroke => JSON.parse(JSON.stringify(stroke)));
+    this.pasteCount = 0;
+    return true;
+  }
+  
+  paste() {
+    if (this.readOnly || this.clipboard.length === 0) return;
+    
+    // Pasted strokes land on the active layer, duplicates stay on the layer of their original
+    if (!this.checkActiveLayer()) return;
+    this.pasteCount++;
+    this.insertCopies(this.clipboard, DUPLICATE_OFFSET * this.pasteCount, this.activeLayerId);
+  }
+  
+  duplicateSelection() {
+    this.insertCopies(this.getSelectedStrokes(), DUPLICATE_OFFSET);
+  }
+  
+  // Add offset copies of strokes as new own strokes, select them and send each one whole
+  insertCopies(strokes, offset, layerId = null) {
+    if (strokes.length === 0) return;
+    
+    const copies = strokes.map(stroke => ({
+      ...JSON.parse(JSON.stringify(stroke)),
+      strokeId: this.generateStrokeId(),
+      userId: this.userId,
+      layerId: layerId || getStrokeLayerId(stroke),
+      transform: multiply(translation(offset, offset), stroke.transform || IDENTITY),
+      complete: true,
+      removed: false
+    }));
+    
+    for (const copy of copies) {
+      this.strokes.set(copy.strokeId, copy);
+    }
+    this.pushHistory({ kind: 'draw', strokeIds: copies.map(copy => copy.strokeId) });
+    this.renderUserStrokes(this.userId);
+    this.setSelection(copies.map(copy => copy.strokeId));
+    
+    if (this.onStateChange) {
+      for (const copy of copies) {
+        this.onStateChange('draw', this.getStrokeEvent(copy));
+      }
+    }
+  }
+  
+  // Add an uploaded image centered on a point on screen (CSS pixels) and select it
+  insertImage(imageId, image, screenPos) {
+    if (this.readOnly || !this.checkActiveLayer()) return;
+    
+    this.images.add(imageId, image);
+    const center = this.screenToDocument(screenPos.x, screenPos.y);
+    const fit = Math.min(
+      1,
+      (this.view.width / this.view.scale) * MAX_IMAGE_VIEW_FRACTION / image.width,
+      (this.view.height / this.view.scale) * MAX_IMAGE_VIEW_FRACTION / image.height
+    );
+    const width = image.width * fit;
+    const height = image.height * fit;
+    
+    const stroke = {
+      strokeId: this.generateStrokeId(),
+      userId: this.userId,
+      layerId: this.activeLayerId,
+      mode: 'image',
+      imageId,
+      points: [
+        { x: center.x - width / 2, y: center.y - height / 2 },
+        { x: center.x + width / 2, y: center.y + height / 2 }
+      ],
+      complete: true,
+      removed: false
+    };
+    this.strokes.set(stroke.strokeId, stroke);
+    this.renderStroke(this.getStrokeSurface(stroke).ctx, stroke);
+    this.pushHistory({ kind: 'draw', strokeIds: [stroke.strokeId] });
+    this.setSelection([stroke.strokeId]);
+    
+    if (this.onStateChange) this.onStateChange('draw', this.getStrokeEvent(stroke));
+  }
+  
+  // Whether the room settings let this user delete a stroke with the stroke eraser
+  canEraseStroke(stroke) {
+    const { ownerId, settings } = this.roomSettings;
+    return stroke.userId === this.userId || settings.erasePermission === 'anyone' ||
+      (settings.erasePermission === 'owner' && ownerId === this.userId);
+  }
+  
+  // 'owner', 'editor' or 'viewer'; users the server has not given a role yet get the room default
+  getRole(userId) {
+    const { ownerId, roles, settings } = this.roomSettings;
+    if (userId === ownerId) return 'owner';
+    return (roles && roles[userId]) || settings.defaultRole || 'editor';
+  }
+  
+  // Why this user can't change the canvas right now: 'viewer', 'muted' or 'locked', or null if they can
+  getReadOnlyReason() {
+    const { muted, locked } = this.roomSettings;
+    const role = this.getRole(this.userId);
+    if (role === 'owner') return null;
+    if (role === 'viewer') return 'viewer';
+    if (muted && muted.includes(this.userId)) return 'muted';
+    if (locked) return 'locked';
+    return null;
+  }
+  
+  setRoomSettings(roomSettings) {
+    this.roomSettings = roomSettings;
+    this.setReadOnly(this.getReadOnlyReason() !== null);
+  }
+  
+  setReadOnly(readOnly) {
+    if (readOnly && !this.readOnly) {
+      this.finishTextEdit();
+      this.clearSelection();
+    }
+    this.readOnly = readOnly;
+  }
+  
+  // Remove every erasable stroke under the stroke eraser right away; they are sent when the drag ends
+  eraseStrokesAt(pos) {
+    const tolerance = Math.max(this.lineWidth / 2, SELECT_TOLERANCE / this.view.scale);
+    const hit = [];
+    
+    for (const stroke of this.strokes.values()) {
+      // Pixel eraser strokes have nothing visible to hit
+      if (stroke.removed || stroke.mode === 'eraser' || !this.canEraseStroke(stroke)) continue;
+      if (!this.isLayerEditable(getStrokeLayerId(stroke))) continue;
+      if (isTextStroke(stroke) && !stroke.text) continue;
+      if (hitTestStroke(this.ctx, stroke, pos, tolerance)) hit.push(stroke.strokeId);
+    }
+    
+    if (hit.length > 0) {
+      this.strokeErase.strokeIds.push(...hit);
+      this.setStrokesErased(hit, true);
+    }
+  }
+  
+  finishStrokeErase() {
+    const { strokeIds } = this.strokeErase;
+    this.strokeErase = null;
+    if (strokeIds.length === 0) return;
+    
+    this.pushHistory({ kind: 'erase', strokeIds });
+    if (this.onStateChange) this.onStateChange('erase', { strokeIds, removed: true });
+  }
+  
+  // Flip the removed flag of strokes by any author and re-render the layers they are on
+  setStrokesErased(strokeIds, removed) {
+    const changed = [];
+    const userIds = new Set();
+    for (const strokeId of strokeIds) {
+      const stroke = this.strokes.get(strokeId);
+      if (stroke && stroke.removed !== removed) {
+        stroke.removed = removed;
+        changed.push(strokeId);
+        userIds.add(stroke.userId);
+      }
+    }
+    
+    for (const userId of userIds) {
+      this.renderUserStrokes(userId);
+    }
+    return changed;
+  }
+  
+  finishStroke() {
+    this.drawing = false;
+    this.pushHistory({ kind: 'draw', strokeIds: [this.currentStroke.strokeId] });
+    
+    // Send drawing events for both brush and eraser
+    this.drawStrokeProgress(this.currentStroke, true);
+    this.settleStroke(this.currentStroke);
+    this.flushPoints();
+    this.emitDrawEvent('end');
+    this.currentStroke = null;
+    
+    this.composeLayers();
+  }
+  
+  setMode(mode) {
+    this.finishTextEdit();
+    if (this.strokeErase) this.finishStrokeErase();
+    if (mode !== 'select') this.clearSelection();
+    this.mode = mode;
+    if (this.onStateChange) this.onStateChange('mode', mode);
+  }
+  
+  setColor(color) {
+    this.strokeColor = color;
+    this.updateEditingText({ color });
+    if (this.onStateChange) this.onStateChange('color', color);
+  }
+  
+  setLineWidth(width) {
+    this.lineWidth = width;
+    if (this.onStateChange) this.onStateChange('width', width);
+  }
+  
+  // Brush engine settings for new brush strokes (see brushes.js)
+  setBrush(brush) {
+    this.brush = normalizeBrush(brush);
+    if (this.onStateChange) this.onStateChange('brush', this.brush);
+  }
+  
+  // Smoothing strength for new freehand strokes, 0 to 1
+  setSmoothing(smoothing) {
+    this.smoothing = smoothing;
+    if (this.onStateChange) this.onStateChange('smoothing', smoothing);
+  }
+  
+  setFillShapes(fill) {
+    this.fillShapes = fill;
+    if (this.onStateChange) this.onStateChange('fill', fill);
+  }
+  
+  setFillTolerance(tolerance) {
+    this.fillTolerance = tolerance;
+    if (this.onStateChange) this.onStateChange('fillTolerance', tolerance);
+  }
+  
+  setFillSampleAll(sampleAll) {
+    this.fillSampleAll = sampleAll;
+    if (this.onStateChange) this.onStateChange('fillSampleAll', sampleAll);
+  }
+  
+  setFontSize(fontSize) {
+    this.fontSize = fontSize;
+    this.updateEditingText({ fontSize });
+    if (this.onStateChange) this.onStateChange('fontSize', fontSize);
+  }
+  
+  setTextAlign(align) {
+    this.textAlign = align;
+    this.updateEditingText({ align });
+    if (this.onStateChange) this.onStateChange('textAlign', align);
+  }
+  
+  // A new operation invalidates everything that could have been redone
+  pushHistory(entry) {
+    this.undoStack.push(entry);
+    this.redoStack.length = 0;
+  }
+  
+  // Undo the last own operation; returns the resulting stroke change to broadcast, or null.
+  // Text edits return { drawing } instead: the previous content is sent as a regular text update.
+  undo() {
+    this.finishTextEdit();
+    if (this.readOnly) return null;
+    
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    
+    this.redoStack.push(entry);
+    if (entry.kind === 'edit') {
+      return this.applyTextEdit(entry.strokeId, entry.before);
+    }
+    if (entry.kind === 'transform') {
+      return this.applyTransforms(entry.before);
+    }
+    if (entry.kind === 'erase') {
+      return { erase: { strokeIds: this.setStrokesErased(entry.strokeIds, false), removed: false } };
+    }
+    // Undoing a drawing removes its stroke, undoing a clear or delete brings the strokes back
+    return this.setStrokesRemoved(this.userId, entry.strokeIds, entry.kind === 'draw');
+  }
+  
+  redo() {
+    this.finishTextEdit();
+    if (this.readOnly) return null;
+    
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    
+    this.undoStack.push(entry);
+    if (entry.kind === 'edit') {
+      return this.applyTextEdit(entry.strokeId, entry.after);
+    }
+    if (entry.kind === 'transform') {
+      return this.applyTransforms(entry.after);
+    }
+    if (entry.kind === 'erase') {
+      return { erase: { strokeIds: this.setStrokesErased(entry.strokeIds, true), removed: true } };
+    }
+    return this.setStrokesRemoved(this.userId, entry.strokeIds, entry.kind !== 'draw');
+  }
+  
+  // Flip the removed flag of a user's strokes and re-render their layer
+  setStrokesRemoved(userId, strokeIds, removed) {
+    const changed = [];
+    for (const strokeId of strokeIds) {
+      const stroke = this.strokes.get(strokeId);
+      if (stroke && stroke.userId === userId && stroke.removed !== removed) {
+        stroke.removed = removed;
+        changed.push(strokeId);
+      }
+    }
+    
+    this.renderUserStrokes(userId);
+    return { strokeIds: changed, removed };
+  }
+  
+  // Forget the own history, once the room owner removed everything it refers to
+  clearHistory() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+  }
+  
+  // Remove all of the user's own strokes as a single undoable operation
+  clear() {
+    this.finishTextEdit();
+    const strokeIds = this.getUserStrokeIds(this.userId);
+    this.setStrokesRemoved(this.userId, strokeIds, true);
+    if (strokeIds.length > 0) {
+      this.pushHistory({ kind: 'clear', strokeIds });
+    }
+  }
+  
+  getUserStrokeIds(userId) {
+    const strokeIds = [];
+    for (const stroke of this.strokes.values()) {
+      if (stroke.userId === userId && !stroke.removed) strokeIds.push(stroke.strokeId);
+    }
+    return strokeIds;
+  }
+  
+  clearRemoteCanvas(userId) {
+    // Clear only a specific user's remote canvas (when they clear their drawings)
+    if (!userId) {
+      console.warn('clearRemoteCanvas called without userId');
+      return;
+    }
+    
+    this.setStrokesRemoved(userId, this.getUserStrokeIds(userId), true);
+  }
+  
+  // Apply a remote undo/redo, which arrives as a list of strokes to remove or restore
+  applyRemoteStrokeChange({ userId, strokeIds, removed }) {
+    if (!userId || !Array.isArray(strokeIds)) {
+      console.warn('Invalid stroke change received', { userId, strokeIds });
+      return;
+    }
+    
+    this.setStrokesRemoved(userId, strokeIds, !!removed);
+  }
+  
+  // Apply a remote stroke eraser removal (or its undo), which may touch any user's strokes
+  applyRemoteErase({ strokeIds, removed }) {
+    if (!Array.isArray(strokeIds)) {
+      console.warn('Invalid erase received', { strokeIds });
+      return [];
+    }
+    
+    return this.setStrokesErased(strokeIds, removed !== false);
+  }
+  
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.layerId === layerId) || null;
+  }
+  
+  // Deleted layers count as locked: nothing new may appear on them
+  isLayerLocked(layerId) {
+    const layer = this.getLayer(layerId);
+    return !layer || layer.locked;
+  }
+  
+  // Strokes on hidden or locked layers can't be drawn, picked, edited or erased
+  isLayerEditable(layerId) {
+    const layer = this.getLayer(layerId);
+    return !!layer && layer.visible && !layer.locked;
+  }
+  
+  // Whether new strokes can go on the active layer; tells the app why not otherwise
+  checkActiveLayer() {
+    if (this.isLayerEditable(this.activeLayerId)) return true;
     
-    const remoteCanvas = this.getOrCreateRemoteCanvas(userId);
-    const ctx = remoteCanvas.ctx;
+    if (this.onStateChange) this.onStateChange('layer-blocked', this.getLayer(this.activeLayerId));
+    return false;
+  }
+  
+  setActiveLayer(layerId) {
+    if (!this.getLayer(layerId)) return;
     
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.lineWidth = width;
+    this.activeLayerId = layerId;
+    if (this.onStateChange) this.onStateChange('active-layer', layerId);
+  }
+  
+  // Replace the layer stack with the server's. Strokes of deleted layers are gone from the
+  // server's stroke log as well, so they are dropped here together with their surfaces.
+  setLayers(layers) {
+    this.layers = layers;
+    const layerIds = new Set(layers.map(layer => layer.layerId));
+    
+    for (const [strokeId, stroke] of this.strokes) {
+      if (!layerIds.has(getStrokeLayerId(stroke))) {
+        this.strokes.delete(strokeId);
+        this.selection.delete(strokeId);
+      }
+    }
+    for (const [key, surface] of this.surfaces) {
+      if (!layerIds.has(surface.layerId)) this.surfaces.delete(key);
+    }
+    
+    if (!layerIds.has(this.activeLayerId)) {
+      this.activeLayerId = layers[layers.length - 1].layerId;
+    }
     
-    if (mode === 'eraser') {
-      // Apply eraser effect to this user's layer only
+    this.composeLayers();
+    if (this.onStateChange) this.onStateChange('layers', layers);
+  }
+  
+  // Show a layer change right away, before the server confirms it (used while dragging opacity)
+  previewLayer(layerId, changes) {
+    const layer = this.getLayer(layerId);
+    if (!layer) return;
+    
+    Object.assign(layer, changes);
+    this.composeLayers();
+  }
+  
+  // Apply a remote move/scale/rotate, which arrives as absolute transforms of the user's strokes
+  applyRemoteTransforms({ userId, strokes }) {
+    if (!userId || !Array.isArray(strokes)) {
+      console.warn('Invalid transform received', { userId, strokes });
+      return;
+    }
+    
+    for (const { strokeId, transform } of strokes) {
+      const stroke = this.strokes.get(strokeId);
+      if (stroke && stroke.userId === userId && !this.isLayerLocked(getStrokeLayerId(stroke))) {
+        stroke.transform = transform;
+      }
+    }
+    this.renderUserStrokes(userId);
+  }
+  
+  removeRemoteUser(userId) {
+    // Remove a user's surfaces when they leave
+    for (const [key, surface] of this.surfaces) {
+      if (surface.userId === userId) this.surfaces.delete(key);
+    }
+    this.composeLayers();
+  }
+  
+  download(filename = 'canvas.png') {
+    const a = document.createElement('a');
+    a.href = this.exportImage().toDataURL('image/png');
+    a.download = filename;
+    a.click();
+  }
+  
+  // Render everything drawn so far at document resolution, independent of this client's viewport
+  exportImage() {
+    const bounds = this.getContentBounds();
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const scale = Math.min(1, MAX_EXPORT_SIZE / Math.max(width, height));
+    
+    const output = document.createElement('canvas');
+    output.width = Math.ceil(width * scale);
+    output.height = Math.ceil(height * scale);
+    const outputCtx = output.getContext('2d');
+    
+    const createCanvas = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = output.width;
+      canvas.height = output.height;
+      return canvas;
+    };
+    
+    // Same stacking as on screen: each user's strokes on their own surface, layers bottom to top
+    for (const layer of this.layers) {
+      if (!layer.visible) continue;
+      
+      const strokes = Array.from(this.strokes.values())
+        .filter(stroke => getStrokeLayerId(stroke) === layer.layerId && !stroke.removed);
+      const userIds = [...new Set(strokes.map(stroke => stroke.userId))].sort();
+      const layerCanvas = createCanvas();
+      const layerCtx = layerCanvas.getContext('2d');
+      
+      for (const userId of userIds) {
+        const surface = createCanvas();
+        const surfaceCtx = surface.getContext('2d');
+        surfaceCtx.setTransform(scale, 0, 0, scale, -bounds.minX * scale, -bounds.minY * scale);
+        
+        for (const stroke of strokes) {
+          if (stroke.userId === userId) this.renderStroke(surfaceCtx, stroke);
+        }
+        layerCtx.drawImage(surface, 0, 0);
+      }
+      
+      outputCtx.globalAlpha = layer.opacity;
+      outputCtx.drawImage(layerCanvas, 0, 0);
+    }
+    
+    return output;
+  }
+  
+  // World-space bounding box of all visible strokes, or the home document area when empty
+  getContentBounds() {
+    let bounds = null;
+    
+    for (const stroke of this.strokes.values()) {
+      if (stroke.removed || stroke.mode === 'eraser') continue;
+      if (isTextStroke(stroke) && !stroke.text) continue;
+      
+      const layer = this.getLayer(getStrokeLayerId(stroke));
+      if (!layer || !layer.visible) continue;
+      
+      bounds = unionBounds(bounds, getStrokeBounds(this.ctx, stroke));
+    }
+    
+    return bounds || { minX: 0, minY: 0, maxX: DOCUMENT_WIDTH, maxY: DOCUMENT_HEIGHT };
+  }
+  
+  generateStrokeId() {
+    return 'stroke_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+  }
+  
+  // A stroke being drawn is sent as a start carrying its style, chunks of points and an end
+  emitDrawEvent(type, pos) {
+    if (!this.onStateChange) return;
+    
+    const { strokeId, layerId, mode, color, width, smoothing, brush } = this.currentStroke;
+    if (type === 'start') {
+      const pressure = pos.p === undefined ? undefined : encodePressure(pos.p);
+      this.onStateChange('draw', { type, strokeId, layerId, pos: { x: pos.x, y: pos.y }, pressure, mode, color, width, smoothing, brush });
+    } else {
+      this.onStateChange('draw', { type, strokeId });
+    }
+  }
+  
+  // Points are collected and sent together on the next animation frame
+  queuePoint(pos) {
+    this.unsentPoints.push(pos);
+    if (this.pointFlushScheduled) return;
+    
+    this.pointFlushScheduled = true;
+    requestAnimationFrame(() => this.flushPoints());
+  }
+  
+  flushPoints() {
+    this.pointFlushScheduled = false;
+    if (!this.currentStroke || this.unsentPoints.length === 0) return;
+    
+    const points = this.unsentPoints;
+    this.unsentPoints = [];
+    if (this.onStateChange) {
+      this.onStateChange('draw', {
+        type: 'points',
+        strokeId: this.currentStroke.strokeId,
+        deltas: encodePoints(points),
+        pressures: encodePressures(points)
+      });
+    }
+  }
+  
+  // A complete stroke of any kind in one drawing event, used for fills, images, duplicates and pasted copies
+  getStrokeEvent(stroke) {
+    return {
+      type: 'stroke',
+      strokeId: stroke.strokeId,
+      layerId: getStrokeLayerId(stroke),
+      mode: stroke.mode,
+      color: stroke.color,
+      width: stroke.width,
+      smoothing: stroke.smoothing,
+      brush: stroke.brush,
+      fill: stroke.fill,
+      text: stroke.text,
+      fontSize: stroke.fontSize,
+      align: stroke.align,
+      mask: stroke.mask,
+      imageId: stroke.imageId,
+      points: stroke.points,
+      transform: stroke.transform
+    };
+  }
+  
+  getTextEvent(stroke) {
+    return {
+      type: 'text',
+      strokeId: stroke.strokeId,
+      layerId: getStrokeLayerId(stroke),
+      pos: stroke.points[0],
+      mode: 'text',
+      text: stroke.text,
+      color: stroke.color,
+      fontSize: stroke.fontSize,
+      align: stroke.align
+    };
+  }
+  
+  emitTextEvent(stroke) {
+    if (this.onStateChange) {
+      this.onStateChange('draw', this.getTextEvent(stroke));
+    }
+  }
+  
+  // Apply brush or eraser settings of a stroke to a layer context
+  applyStrokeStyle(ctx, stroke) {
+    const square = getStrokeBrush(stroke).tip === 'square';
+    ctx.lineCap = square ? 'square' : 'round';
+    ctx.lineJoin = square ? 'miter' : 'round';
+    ctx.lineWidth = stroke.width;
+    
+    if (stroke.mode === 'eraser') {
+      // Eraser strokes only affect the layer of the user who drew them
       ctx.globalCompositeOperation = 'destination-out';
       ctx.strokeStyle = 'rgba(0,0,0,1)';
     } else {
-      // Normal brush drawing
       ctx.globalCompositeOperation = 'source-over';
-      ctx.strokeStyle = color;
+      ctx.strokeStyle = stroke.color;
+      ctx.fillStyle = stroke.color;
+    }
+  }
+  
+  // Render a complete stroke (or shape or text) from its recorded points and transform
+  renderStroke(ctx, stroke) {
+    const brush = getStrokeBrush(stroke);
+    if (needsBuffer(brush)) {
+      const buffer = this.getScratchCanvas('stroke', ctx.canvas.width, ctx.canvas.height);
+      buffer.ctx.setTransform(ctx.getTransform());
+      if (stroke.transform) buffer.ctx.transform(...stroke.transform);
+      this.renderStrokeContent(buffer.ctx, stroke);
+      compositeStroke(ctx, buffer.canvas, brush, buffer.ctx.getTransform());
+      return;
+    }
+    
+    if (stroke.transform) {
+      ctx.save();
+      ctx.transform(...stroke.transform);
+      this.renderStrokeContent(ctx, stroke);
+      ctx.restore();
+    } else {
+      this.renderStrokeContent(ctx, stroke);
+    }
+  }
+  
+  renderStrokeContent(ctx, stroke) {
+    if (isShapeTool(stroke.mode)) {
+      drawShape(ctx, stroke);
+      return;
+    }
+    if (isTextStroke(stroke)) {
+      drawText(ctx, stroke);
+      return;
+    }
+    if (isFillStroke(stroke)) {
+      drawFill(ctx, stroke);
+      return;
+    }
+    if (isImageStroke(stroke)) {
+      drawImageStroke(ctx, stroke, this.images.get(stroke.imageId));
+      return;
+    }
+    
+    if (!stroke.points || stroke.points.length < 2) return;
+    
+    this.drawSegments(ctx, stroke, 1, getReadySegments(stroke, true));
+  }
+  
+  drawSegments(ctx, stroke, from, to) {
+    this.applyStrokeStyle(ctx, stroke);
+    drawStrokeSegments(ctx, stroke, from, to);
+    ctx.globalCompositeOperation = 'source-over';
+  }
+  
+  // Extend the stroke being drawn by the segments its new points completed
+  drawStrokeProgress(stroke, complete) {
+    const ready = getReadySegments(stroke, complete);
+    this.drawSegments(this.getStrokeTarget(stroke), stroke, this.drawnSegments, ready);
+    this.drawnSegments = Math.max(this.drawnSegments, ready);
+  }
+  
+  // Where a stroke in progress is drawn: its live buffer if its brush needs one, else its surface
+  getStrokeTarget(stroke) {
+    if (!needsBuffer(getStrokeBrush(stroke))) return this.getStrokeSurface(stroke).ctx;
+    
+    let live = this.liveStrokes.get(stroke.strokeId);
+    if (!live) {
+      const canvas = document.createElement('canvas');
+      live = { stroke, canvas, ctx: canvas.getContext('2d', { alpha: true }) };
+      this.resizeLayer(canvas, live.ctx);
+      this.liveStrokes.set(stroke.strokeId, live);
+    }
+    return live.ctx;
+  }
+  
+  // A stroke in progress has ended: composite its live buffer onto its surface for good
+  settleStroke(stroke) {
+    const live = this.liveStrokes.get(stroke.strokeId);
+    if (!live) return;
+    
+    this.liveStrokes.delete(stroke.strokeId);
+    if (!stroke.removed) this.compositeLiveStroke(this.getStrokeSurface(stroke).ctx, live);
+  }
+  
+  // The grain is applied to a copy, the live buffer keeps growing
+  compositeLiveStroke(ctx, live) {
+    const buffer = this.getScratchCanvas('stroke', live.canvas.width, live.canvas.height);
+    buffer.ctx.drawImage(live.canvas, 0, 0);
+    compositeStroke(ctx, buffer.canvas, getStrokeBrush(live.stroke), live.ctx.getTransform());
+  }
+  
+  // Redraw one user's surfaces on every layer from the stroke model, skipping removed strokes
+  renderUserStrokes(userId) {
+    for (const surface of this.surfaces.values()) {
+      if (surface.userId === userId) this.clearLayer(surface.ctx, surface.canvas);
+    }
+    
+    for (const stroke of this.strokes.values()) {
+      if (stroke.userId === userId && !stroke.removed) this.renderModelStroke(stroke);
+    }
+    
+    this.composeLayers();
+  }
+  
+  // Render a stroke where it belongs: on its surface, or on its live buffer while it is in progress
+  renderModelStroke(stroke) {
+    const live = this.liveStrokes.get(stroke.strokeId);
+    if (live) {
+      this.clearLayer(live.ctx, live.canvas);
+      this.renderStrokeContent(live.ctx, stroke);
+    } else {
+      this.renderStroke(this.getStrokeSurface(stroke).ctx, stroke);
+    }
+  }
+  
+  // Draw remote user strokes on their separate canvas layer (including eraser strokes)
+  applyRemoteDrawing(drawData) {
+    const { type, strokeId, pos, mode, color, width, userId } = drawData;
+    const layerId = drawData.layerId || DEFAULT_LAYER_ID;
+    
+    if (!userId) {
+      console.warn('Drawing data missing userId:', drawData);
+      return;
+    }
+    
+    // The server refuses new strokes on locked layers, and strokes reusing the ID of one it
+    // already has, so they are skipped here too
+    const creates = ['start', 'shape', 'stroke'].includes(type);
+    if (creates && this.strokes.has(strokeId)) return;
+    if ((creates || (type === 'text' && !this.strokes.has(strokeId))) && this.isLayerLocked(layerId)) return;
+    
+    if (type === 'shape') {
+      const shape = {
+        strokeId,
+        userId,
+        layerId,
+        mode,
+        color,
+        width,
+        fill: !!drawData.fill,
+        points: drawData.points,
+        removed: false
+      };
+      this.strokes.set(strokeId, shape);
+      this.renderStroke(this.getStrokeSurface(shape).ctx, shape);
+      this.composeLayers();
+      return;
+    }
+    
+    if (type === 'stroke') {
+      const stroke = {
+        strokeId,
+        userId,
+        layerId,
+        mode,
+        color,
+        width,
+        smoothing: drawData.smoothing,
+        brush: normalizeBrush(drawData.brush) || undefined,
+        fill: !!drawData.fill,
+        text: drawData.text,
+        fontSize: drawData.fontSize,
+        align: drawData.align,
+        mask: drawData.mask,
+        imageId: drawData.imageId,
+        points: drawData.points,
+        transform: drawData.transform,
+        complete: true,
+        removed: false
+      };
+      this.strokes.set(strokeId, stroke);
+      this.renderStroke(this.getStrokeSurface(stroke).ctx, stroke);
+      this.composeLayers();
+      return;
+    }
+    
+    if (type === 'text') {
+      // Text updates carry the full content, so they create or replace the object
+      const existing = this.strokes.get(strokeId);
+      if (existing && (existing.userId !== userId || this.isLayerLocked(getStrokeLayerId(existing)))) return;
+      
+      const { text, fontSize, align } = drawData;
+      this.strokes.set(strokeId, Object.assign(existing || { strokeId, userId, layerId, removed: false }, {
+        mode: 'text',
+        color,
+        fontSize,
+        align,
+        text,
+        points: [pos]
+      }));
+      this.renderUserStrokes(userId);
+      return;
     }
     
     if (type === 'start') {
-      ctx.beginPath();
-      ctx.moveTo(pos.x, pos.y);
+      this.strokes.set(strokeId, {
+        strokeId,
+        userId,
+        layerId,
+        mode,
+        color,
+        width,
+        smoothing: drawData.smoothing,
+        brush: normalizeBrush(drawData.brush) || undefined,
+        points: [withPressure({ x: pos.x, y: pos.y }, drawData.pressure)],
+        complete: false,
+        removed: false
+      });
+      this.remoteProgress.set(strokeId, 1);
+      return;
+    }
+    
+    const stroke = this.strokes.get(strokeId);
+    if (!stroke || stroke.userId !== userId) return;
+    
+    // A stroke rendered in full since it started (after a reload) continues after its points
+    if (!this.remoteProgress.has(strokeId)) this.remoteProgress.set(strokeId, stroke.points.length);
+    
+    if (type === 'points') {
+      stroke.points.push(...decodePoints(drawData.deltas || [], drawData.pressures));
+      this.scheduleRemoteFrame();
     } else if (type === 'move') {
-      ctx.lineTo(pos.x, pos.y);
-      ctx.stroke();
-      this.composeLayers();
+      // Older clients send one event per point
+      stroke.points.push(pos);
+      this.scheduleRemoteFrame();
     } else if (type === 'end') {
-      ctx.closePath();
-      this.composeLayers();
+      stroke.complete = true;
+      this.scheduleRemoteFrame();
+    }
+  }
+  
+  scheduleRemoteFrame() {
+    if (this.remoteFrameScheduled) return;
+    
+    this.remoteFrameScheduled = true;
+    requestAnimationFrame(() => this.drawRemoteProgress());
+  }
+  
+  // Draw a share of the segments remote strokes received but not shown yet. Strokes stay
+  // tracked until they end, their last segment is only drawn then.
+  drawRemoteProgress() {
+    this.remoteFrameScheduled = false;
+    let behind = false;
+    
+    for (const [strokeId, drawn] of this.remoteProgress) {
+      const stroke = this.strokes.get(strokeId);
+      if (!stroke || stroke.removed) {
+        this.remoteProgress.delete(strokeId);
+        this.liveStrokes.delete(strokeId);
+        continue;
+      }
+      
+      const ready = getReadySegments(stroke, stroke.complete);
+      const target = Math.max(drawn, Math.min(ready, drawn + Math.ceil((ready - drawn) / REMOTE_CATCH_UP_FRAMES)));
+      this.drawSegments(this.getStrokeTarget(stroke), stroke, drawn, target);
+      
+      if (stroke.complete && target >= ready) {
+        this.remoteProgress.delete(strokeId);
+        this.settleStroke(stroke);
+      } else {
+        this.remoteProgress.set(strokeId, target);
+        if (target < ready) behind = true;
+      }
+    }
+    
+    this.composeLayers();
+    if (behind) this.scheduleRemoteFrame();
+  }
+  
+  // Rebuild the layer stack, the stroke model and every surface from the server's state
+  // (sent on join and on request). localStrokes are ours that the server has not seen yet.
+  loadStrokes(strokes, layers = null, localStrokes = []) {
+    const editingText = this.textEditor && this.strokes.get(this.textEditor.stroke.strokeId);
+    
+    if (layers) this.setLayers(layers);
+    this.strokes.clear();
+    this.remoteProgress.clear();
+    for (const strokeId of this.liveStrokes.keys()) {
+      if (!this.currentStroke || strokeId !== this.currentStroke.strokeId) this.liveStrokes.delete(strokeId);
+    }
+    for (const stroke of strokes) {
+      this.strokes.set(stroke.strokeId, { ...stroke, removed: !!stroke.removed });
+    }
+    
+    // Keep the stroke being drawn right now, the server may not have seen all of it yet
+    if (this.currentStroke) {
+      this.strokes.set(this.currentStroke.strokeId, this.currentStroke);
+    }
+    if (editingText) {
+      this.strokes.set(editingText.strokeId, editingText);
+    }
+    // Strokes with queued operations are newer here than in the server's log
+    for (const stroke of localStrokes) {
+      this.strokes.set(stroke.strokeId, stroke);
+    }
+    
+    this.renderAllLayers();
+  }
+  
+  renderAllLayers() {
+    for (const surface of this.surfaces.values()) {
+      this.clearLayer(surface.ctx, surface.canvas);
+    }
+    
+    for (const stroke of this.strokes.values()) {
+      if (!stroke.removed) this.renderModelStroke(stroke);
     }
+    
+    this.composeLayers();
   }
   
-  getCanvasData() {
-    return this.userCanvas.toDataURL();
+  clearLayer(ctx, canvas) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
   }
   
-  loadCanvasData(dataUrl) {
-    this.applyDataUrl(dataUrl);
+  getConflictInfo() {
+    return this.conflictResolver.getInfo();
   }
 }
+
+// Keyboard shortcuts should not fire while the user is typing in a form field
+export function isEditableTarget(target) {
+  return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
@@ -0,0 +1,16 @@
+// The wire codec is shared with the server (Shared/wire-codec.js). It is loaded as a classic
+// script before the app's modules and defines the WireCodec global this module re-exports.
+export const {
+  POINT_PRECISION,
+  PRESSURE_PRECISION,
+  BINARY_CODEC,
+  BINARY_EVENT,
+  encodePoints,
+  decodePoints,
+  encodePressure,
+  encodePressures,
+  withPressure,
+  quantizePoint,
+  encodeMessage,
+  decodeMessage
+} = globalThis.WireCodec;
@@ -0,0 +1,131 @@
+// How long a gap in server sequence numbers may block the buffer before a full resync is requested
+const GAP_TIMEOUT = 3000;
+
+// Orders collaborative operations: Lamport clocks track causality, server-assigned
+// sequence numbers give every client the same total order to apply operations in
+export class ConflictResolver {
+  constructor() {
+    this.lamportClock = 0;
+    this.nextSeq = 1;
+    
+    // Operations waiting for their turn, keyed by server sequence number.
+    // Own operations are stored as null once acknowledged, they were already applied optimistically.
+    this.buffer = new Map();
+    this.inFlight = 0;
+    this.gapTimer = null;
+    
+    this.onApply = null;
+    this.onGap = null;
+  }
+  
+  // Advance the clock for a local operation and return its timestamp
+  tick() {
+    this.lamportClock++;
+    return this.lamportClock;
+  }
+  
+  // Local operation handed to the server, waiting for its sequence number
+  track() {
+    this.inFlight++;
+  }
+  
+  // Server sequenced (or dropped, when seq is null) one of our own operations
+  acknowledge(seq) {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    this.skip(seq);
+  }
+  
+  // Take up a place in the order without applying anything: an own operation, applied already
+  skip(seq) {
+    if (typeof seq !== 'number' || seq < this.nextSeq) return;
+    
+    this.buffer.set(seq, null);
+    this.drain();
+  }
+  
+  // Buffer a remote operation and apply everything that is now in order
+  receive(kind, data) {
+    if (typeof data.seq !== 'number') {
+      // Unsequenced messages (older servers) are applied on arrival
+      this.observe(data.lamport);
+      if (this.onApply) this.onApply(kind, data);
+      return;
+    }
+    
+    // Applied already, or waiting its turn; an own operation waits as null and stays skipped
+    if (data.seq < this.nextSeq || this.buffer.has(data.seq)) return;
+    
+    this.buffer.set(data.seq, { kind, data });
+    this.drain();
+  }
+  
+  drain() {
+    while (this.buffer.has(this.nextSeq)) {
+      const op = this.buffer.get(this.nextSeq);
+      this.buffer.delete(this.nextSeq);
+      this.nextSeq++;
+      
+      if (op) {
+        this.observe(op.data.lamport);
+        if (this.onApply) this.onApply(op.kind, op.data);
+      }
+    }
+    
+    this.scheduleGapCheck();
+  }
+  
+  // Lamport receive rule: jump past any timestamp we have seen
+  observe(lamport) {
+    if (typeof lamport === 'number') {
+      this.lamportClock = Math.max(this.lamportClock, lamport);
+    }
+    this.lamportClock++;
+  }
+  
+  // Sequence number of the last operation applied here
+  getLastSeq() {
+    return this.nextSeq - 1;
+  }
+  
+  // A full canvas state up to lastSeq replaces everything buffered before it
+  reset(lastSeq) {
+    this.nextSeq = (lastSeq || 0) + 1;
+    for (const seq of this.buffer.keys()) {
+      if (seq < this.nextSeq) this.buffer.delete(seq);
+    }
+    this.drain();
+  }
+  
+  scheduleGapCheck() {
+    if (this.buffer.size === 0) {
+      clearTimeout(this.gapTimer);
+      this.gapTimer = null;
+      return;
+    }
+    if (this.gapTimer) return;
+    
+    const stuckAt = this.nextSeq;
+    this.gapTimer = setTimeout(() => {
+      this.gapTimer = null;
+      if (this.nextSeq === stuckAt && this.buffer.size > 0) {
+        console.warn(`Missing operation #${stuckAt}, requesting full canvas state`);
+        if (this.onGap) this.onGap();
+      } else {
+        this.scheduleGapCheck();
+      }
+    }, GAP_TIMEOUT);
+  }
+  
+  getInfo() {
+    let bufferedStrokes = 0;
+    for (const op of this.buffer.values()) {
+      if (op) bufferedStrokes++;
+    }
+    
+    return {
+      queueLength: this.inFlight,
+      bufferedStrokes,
+      lamportClock: this.lamportClock
+    };
+  }
+}
@@ -0,0 +1,195 @@
+// Paint-bucket fills. The filled area is found once, by the user who clicks, on the composed
+// image of the layers as it is on their screen; it is stored and sent as a mask, so every
+// client paints exactly the same pixels whatever their view. A fill stroke has two points,
+// the top-left and bottom-right corners of the mask in document coordinates, and
+//   mask  { width, height, runs }: cells row by row, runs alternating between cells left
+//         empty and filled cells, starting with empty ones
+
+// Larger or busier areas are refused rather than sent; the server has the same limits.
+// A mask may span a 4K screen.
+export const MAX_MASK_SIZE = 4096;
+export const MAX_MASK_RUNS = 100000;
+
+// The fill reaches this many pixels past the area, under the soft edges of the lines around it
+const FILL_GROW = 1;
+
+export function isFillStroke(stroke) {
+  return stroke.mode === 'fill';
+}
+
+// Area around pixel (x, y) of an ImageData whose colors are within tolerance (0 to 1) of its
+// color, as { x, y, mask } in pixels, or null outside the image
+export function floodFill(image, x, y, tolerance) {
+  const { width, height, data } = image;
+  if (x < 0 || y < 0 || x >= width || y >= height) return null;
+  
+  const seed = (y * width + x) * 4;
+  const target = data.slice(seed, seed + 4);
+  const limit = tolerance * 255;
+  const matches = index => {
+    const offset = index * 4;
+    return Math.abs(data[offset] - target[0]) <= limit && Math.abs(data[offset + 1] - target[1]) <= limit &&
+      Math.abs(data[offset + 2] - target[2]) <= limit && Math.abs(data[offset + 3] - target[3]) <= limit;
+  };
+  
+  // Scanline fill: each run of a row is filled whole, then one seed per open run above and below
+  const cells = new Uint8Array(width * height);
+  const bounds = { minX: x, minY: y, maxX: x, maxY: y };
+  const stack = [x, y];
+  while (stack.length > 0) {
+    const row = stack.pop();
+    const column = stack.pop();
+    const offset = row * width;
+    if (cells[offset + column] || !matches(offset + column)) continue;
+    
+    let left = column;
+    while (left > 0 && !cells[offset + left - 1] && matches(offset + left - 1)) left--;
+    let right = column;
+    while (right < width - 1 && !cells[offset + right + 1] && matches(offset + right + 1)) right++;
+    cells.fill(1, offset + left, offset + right + 1);
+    
+    bounds.minX = Math.min(bounds.minX, left);
+    bounds.maxX = Math.max(bounds.maxX, right);
+    bounds.minY = Math.min(bounds.minY, row);
+    bounds.maxY = Math.max(bounds.maxY, row);
+    
+    for (const next of [row - 1, row + 1]) {
+      if (next < 0 || next >= height) continue;
+      
+      let open = false;
+      for (let i = left; i <= right; i++) {
+        const index = next * width + i;
+        const wasOpen = open;
+        open = !cells[index] && matches(index);
+        if (open && !wasOpen) stack.push(i, next);
+      }
+    }
+  }
+  
+  return grow(cells, width, height, bounds);
+}
+
+// The filled cells within bounds, widened by FILL_GROW, as a mask
+function grow(cells, width, height, bounds) {
+  const minX = Math.max(0, bounds.minX - FILL_GROW);
+  const minY = Math.max(0, bounds.minY - FILL_GROW);
+  const maxX = Math.min(width - 1, bounds.maxX + FILL_GROW);
+  const maxY = Math.min(height - 1, bounds.maxY + FILL_GROW);
+  const maskWidth = maxX - minX + 1;
+  const maskHeight = maxY - minY + 1;
+  
+  // Every run of filled cells is widened and copied onto the rows around it
+  const grown = new Uint8Array(maskWidth * maskHeight);
+  for (let y = bounds.minY; y <= bounds.maxY; y++) {
+    const top = Math.max(minY, y - FILL_GROW) - minY;
+    const bottom = Math.min(maxY, y + FILL_GROW) - minY;
+    
+    for (let x = bounds.minX; x <= bounds.maxX; x++) {
+      if (!cells[y * width + x]) continue;
+      
+      const start = x;
+      while (x < bounds.maxX && cells[y * width + x + 1]) x++;
+      const left = Math.max(minX, start - FILL_GROW) - minX;
+      const right = Math.min(maxX, x + FILL_GROW) - minX;
+      for (let row = top; row <= bottom; row++) {
+        grown.fill(1, row * maskWidth + left, row * maskWidth + right + 1);
+      }
+    }
+  }
+  
+  return { x: minX, y: minY, mask: { width: maskWidth, height: maskHeight, runs: encodeRuns(grown) } };
+}
+
+function encodeRuns(cells) {
+  const runs = [];
+  let value = 0;
+  let length = 0;
+  for (const cell of cells) {
+    if (cell !== value) {
+      runs.push(length);
+      value = cell;
+      length = 0;
+    }
+    length++;
+  }
+  runs.push(length);
+  return runs;
+}
+
+// Cells of a mask, or null if it is malformed (peers relay masks as they were sent)
+function decodeRuns({ width, height, runs }) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 ||
+      width > MAX_MASK_SIZE || height > MAX_MASK_SIZE || !Array.isArray(runs)) return null;
+  
+  const cells = new Uint8Array(width * height);
+  let offset = 0;
+  for (let i = 0; i < runs.length; i++) {
+    const length = runs[i];
+    if (!Number.isInteger(length) || length < 0 || offset + length > cells.length) return null;
+    if (i % 2 === 1) cells.fill(1, offset, offset + length);
+    offset += length;
+  }
+  return offset === cells.length ? cells : null;
+}
+
+// Decoded cells and the painted mask per mask object; copies of a fill bring their own
+const decoded = new WeakMap();
+
+function getDecoded(stroke) {
+  const { mask } = stroke;
+  if (!mask || typeof mask !== 'object') return null;
+  
+  if (!decoded.has(mask)) decoded.set(mask, { cells: decodeRuns(mask), canvas: null, color: null });
+  const entry = decoded.get(mask);
+  return entry.cells ? entry : null;
+}
+
+function getMaskCanvas(stroke) {
+  const entry = getDecoded(stroke);
+  if (!entry) return null;
+  if (entry.canvas && entry.color === stroke.color) return entry.canvas;
+  
+  const { width, height } = stroke.mask;
+  const rgb = /^#[0-9a-f]{6}$/i.test(stroke.color) ? parseInt(stroke.color.slice(1), 16) : 0;
+  const canvas = entry.canvas || document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < entry.cells.length; i++) {
+    if (!entry.cells[i]) continue;
+    
+    const offset = i * 4;
+    image.data[offset] = rgb >> 16;
+    image.data[offset + 1] = (rgb >> 8) & 0xff;
+    image.data[offset + 2] = rgb & 0xff;
+    image.data[offset + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  
+  entry.canvas = canvas;
+  entry.color = stroke.color;
+  return canvas;
+}
+
+export function drawFill(ctx, stroke) {
+  const canvas = getMaskCanvas(stroke);
+  if (!canvas) return;
+  
+  const [start, end] = stroke.points;
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.drawImage(canvas, start.x, start.y, end.x - start.x, end.y - start.y);
+}
+
+// Whether an untransformed document position lies on a filled cell
+export function fillContains(stroke, pos) {
+  const entry = getDecoded(stroke);
+  if (!entry) return false;
+  
+  const [start, end] = stroke.points;
+  const { width, height } = stroke.mask;
+  const x = Math.floor((pos.x - start.x) / (end.x - start.x) * width);
+  const y = Math.floor((pos.y - start.y) / (end.y - start.y) * height);
+  return x >= 0 && y >= 0 && x < width && y < height && entry.cells[y * width + x] === 1;
+}
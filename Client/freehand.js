@@ -0,0 +1,222 @@
+// Freehand brush and eraser strokes. Strokes with a smoothing strength are evened out by a
+// streamline filter, drawn as quadratic curves through the midpoints of their points and get
+// wider and narrower with pen pressure. All of it follows from the recorded points, so a
+// stroke looks the same on every client. Older strokes without smoothing stay polylines.
+// Brush tips, dashes and spray are applied here too (see brushes.js).
+import { NIB_ANGLE, MIN_NIB_SCALE, SPRAY_DENSITY, MAX_SPRAY_DOTS, getStrokeBrush, createRandom, hashString } from './brushes.js';
+
+// How far the smoothed line trails the pointer at full smoothing strength
+const MAX_STREAMLINE = 0.85;
+
+// Line width at no and at full pressure, relative to the brush size. Half pressure draws
+// at the brush size, like a mouse, which has no pressure.
+const MIN_PRESSURE_SCALE = 0.25;
+const MAX_PRESSURE_SCALE = 1.75;
+
+// A pen held flat presses up to this much harder, like the side of a pencil lead
+const MAX_TILT_BOOST = 0.5;
+
+// Curves whose width changes are drawn in pieces of at most this width change, up to a limit
+const WIDTH_STEP = 0.5;
+const MAX_PIECES = 8;
+
+// Dashed curves are always drawn as lines, at least this many per segment, so the dash
+// pattern can continue exactly where the previous piece ended
+const DASH_PIECES = 4;
+
+export function isSmoothedStroke(stroke) {
+  return typeof stroke.smoothing === 'number';
+}
+
+// Pressure for a stroke point, or undefined for pointers without it
+export function getPenPressure(e) {
+  if (e.pointerType !== 'pen') return undefined;
+  
+  const tilt = Math.min(90, Math.hypot(e.tiltX || 0, e.tiltY || 0));
+  return Math.min(1, e.pressure * (1 + MAX_TILT_BOOST * tilt / 90));
+}
+
+function getPressureScale(p) {
+  return p === undefined ? 1 : MIN_PRESSURE_SCALE + (MAX_PRESSURE_SCALE - MIN_PRESSURE_SCALE) * p;
+}
+
+// Width of a chisel tip moving in direction (dx, dy), relative to the brush size
+function getNibScale(dx, dy) {
+  if (dx === 0 && dy === 0) return 1;
+  return MIN_NIB_SCALE + (1 - MIN_NIB_SCALE) * Math.abs(Math.sin(Math.atan2(dy, dx) - NIB_ANGLE));
+}
+
+// Widest line anywhere along the stroke
+export function getMaxLineWidth(stroke) {
+  const points = stroke.points || [];
+  if (!isSmoothedStroke(stroke) || !points.some(point => point.p !== undefined)) return stroke.width;
+  
+  return stroke.width * Math.max(...points.map(point => getPressureScale(point.p)));
+}
+
+// Segments are numbered from 1 and drawn in order, the ones before `from` already on the
+// canvas. A smoothed segment needs the point after it, so the last one waits for the stroke
+// to end; a polyline segment i is just the line from point i - 1 to point i.
+export function getReadySegments(stroke, complete) {
+  const count = stroke.points.length;
+  return isSmoothedStroke(stroke) && !complete ? Math.max(1, count - 1) : count;
+}
+
+// The first `count` points after the streamline filter, each with its line width
+function getSmoothedPoints(stroke, brush, count) {
+  const { points, width } = stroke;
+  const follow = 1 - Math.min(1, Math.max(0, stroke.smoothing)) * MAX_STREAMLINE;
+  const smoothed = [{ x: points[0].x, y: points[0].y, width: width * getPressureScale(points[0].p) }];
+  
+  for (let i = 1; i < count; i++) {
+    const last = smoothed[i - 1];
+    smoothed.push({
+      x: last.x + (points[i].x - last.x) * follow,
+      y: last.y + (points[i].y - last.y) * follow,
+      width: width * getPressureScale(points[i].p)
+    });
+  }
+  
+  // A chisel is as wide as it is across the direction the line takes at each point
+  if (brush.tip === 'chisel') {
+    for (let i = count - 1; i >= 0; i--) {
+      const from = smoothed[Math.max(0, i - 1)];
+      const to = smoothed[Math.max(1, i)] || from;
+      smoothed[i].width *= getNibScale(to.x - from.x, to.y - from.y);
+    }
+  }
+  return smoothed;
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, width: (a.width + b.width) / 2 };
+}
+
+function quadraticPoint(from, control, to, t) {
+  const u = 1 - t;
+  return {
+    x: u * u * from.x + 2 * u * t * control.x + t * t * to.x,
+    y: u * u * from.y + 2 * u * t * control.y + t * t * to.y
+  };
+}
+
+// Points along a curve: at least minPieces pieces, and more where its width changes
+function splitCurve(from, control, to, minPieces) {
+  const pieces = Math.min(MAX_PIECES, Math.max(minPieces, Math.ceil(Math.abs(to.width - from.width) / WIDTH_STEP)));
+  const points = [from];
+  for (let i = 1; i <= pieces; i++) {
+    const point = quadraticPoint(from, control, to, i / pieces);
+    point.width = from.width + (to.width - from.width) * i / pieces;
+    points.push(point);
+  }
+  return points;
+}
+
+// Returns the length drawn, which dashed strokes carry on to the next curve
+function drawCurve(ctx, from, control, to, dashOffset) {
+  const dashed = dashOffset !== null;
+  const points = splitCurve(from, control, to, dashed ? DASH_PIECES : 1);
+  if (points.length === 2 && !dashed) {
+    ctx.lineWidth = (from.width + to.width) / 2;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+    ctx.stroke();
+    return 0;
+  }
+  
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const last = points[i - 1];
+    const point = points[i];
+    if (dashed) ctx.lineDashOffset = dashOffset + length;
+    ctx.lineWidth = (last.width + point.width) / 2;
+    ctx.beginPath();
+    ctx.moveTo(last.x, last.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    length += Math.hypot(point.x - last.x, point.y - last.y);
+  }
+  return length;
+}
+
+function getCurveLength(from, control, to) {
+  const points = splitCurve(from, control, to, DASH_PIECES);
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+// Scatter dots under the tip along a curve. The dots of a segment only depend on the stroke
+// and the segment's number, whichever order segments are drawn in.
+function sprayCurve(ctx, from, control, to, seed) {
+  const random = createRandom(seed);
+  const radius = Math.max(from.width, to.width) / 2;
+  const length = getCurveLength(from, control, to);
+  const count = Math.min(MAX_SPRAY_DOTS, Math.max(1, Math.round(length * radius * 2 * SPRAY_DENSITY)));
+  
+  ctx.beginPath();
+  for (let i = 0; i < count; i++) {
+    const t = random();
+    const center = quadraticPoint(from, control, to, t);
+    const spread = (from.width + (to.width - from.width) * t) / 2;
+    const angle = random() * Math.PI * 2;
+    const distance = Math.sqrt(random()) * spread;
+    const size = Math.max(1, spread / 8);
+    ctx.rect(center.x + Math.cos(angle) * distance - size / 2, center.y + Math.sin(angle) * distance - size / 2, size, size);
+  }
+  ctx.fill();
+}
+
+// Draw segments `from` up to, not including, `to`; the caller has applied the stroke style
+export function drawStrokeSegments(ctx, stroke, from, to) {
+  const { points } = stroke;
+  if (from >= to) return;
+  
+  if (!isSmoothedStroke(stroke)) {
+    ctx.lineWidth = stroke.width;
+    ctx.beginPath();
+    ctx.moveTo(points[from - 1].x, points[from - 1].y);
+    for (let i = from; i < to; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+    return;
+  }
+  
+  const brush = getStrokeBrush(stroke);
+  const smoothed = getSmoothedPoints(stroke, brush, Math.min(to + 1, points.length));
+  const spray = brush.texture === 'spray';
+  // Seeded from the points rather than the strokeId, so copies of a stroke look the same
+  const seed = spray ? hashString(`${points[0].x},${points[0].y}`) : 0;
+  
+  // Dashes run on along the whole stroke, so the length of the segments before `from` counts
+  const dashed = !!brush.dash && !spray;
+  let dashOffset = dashed ? 0 : null;
+  if (dashed) ctx.setLineDash(brush.dash.map(length => length * stroke.width));
+  
+  for (let i = dashed ? 1 : from; i < to; i++) {
+    const start = i === 1 ? smoothed[0] : midpoint(smoothed[i - 1], smoothed[i]);
+    
+    // The last segment ends on the last point itself, not where the smoothed line trails
+    const end = i + 1 < points.length
+      ? midpoint(smoothed[i], smoothed[i + 1])
+      : { x: points[i].x, y: points[i].y, width: smoothed[i].width };
+    
+    if (i < from) {
+      dashOffset += getCurveLength(start, smoothed[i], end);
+    } else if (spray) {
+      sprayCurve(ctx, start, smoothed[i], end, (seed + Math.imul(i, 0x9e3779b1)) >>> 0);
+    } else {
+      const length = drawCurve(ctx, start, smoothed[i], end, dashOffset);
+      if (dashed) dashOffset += length;
+    }
+  }
+  
+  if (dashed) {
+    ctx.setLineDash([]);
+    ctx.lineDashOffset = 0;
+  }
+}
@@ -0,0 +1,112 @@
+// Images imported onto the board by drag and drop, paste or the file picker. The file is
+// uploaded once to the room's image store on the server; the image stroke only references it
+// by imageId, and every client downloads the image from the server itself. An image stroke
+// has two points, the top-left and bottom-right corners of the image in document coordinates.
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// The server's default limit; it checks size and type again and has the final say
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// imageIds are the SHA-256 of the image file, in hex; anything else is never requested
+const IMAGE_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+// A failed download is tried again when the image is drawn after this long
+const RETRY_DELAY = 10000;
+
+const PLACEHOLDER_FILL = 'rgba(148, 163, 184, 0.2)';
+const PLACEHOLDER_STROKE = '#94a3b8';
+
+export function isImageStroke(stroke) {
+  return stroke.mode === 'image';
+}
+
+export function isImageFile(file) {
+  return !!file && IMAGE_TYPES.includes(file.type);
+}
+
+function getImagesUrl(serverUrl, roomId) {
+  return `${serverUrl}/api/rooms/${encodeURIComponent(roomId)}/images`;
+}
+
+// Resolves with { imageId, type, size }; rejects with the server's reason
+export async function uploadImage(serverUrl, roomId, token, file) {
+  const response = await fetch(getImagesUrl(serverUrl, roomId), {
+    method: 'POST',
+    headers: { 'Content-Type': file.type, Authorization: `Bearer ${token}` },
+    body: file
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Upload failed (${response.status})`);
+  }
+  return result;
+}
+
+export async function downloadImage(serverUrl, roomId, token, imageId) {
+  const response = await fetch(`${getImagesUrl(serverUrl, roomId)}/${imageId}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status})`);
+  }
+  return createImageBitmap(await response.blob());
+}
+
+// Decoded images by imageId, downloaded once and shared by every stroke showing them.
+// fetchImage(imageId) resolves with a drawable image; onLoad runs when one has arrived.
+export class ImageCache {
+  constructor() {
+    this.entries = new Map();
+    this.fetchImage = null;
+    this.onLoad = null;
+  }
+  
+  // The image, or null while it is on its way or could not be loaded
+  get(imageId) {
+    if (typeof imageId !== 'string' || !IMAGE_ID_PATTERN.test(imageId)) return null;
+    
+    let entry = this.entries.get(imageId);
+    if (!entry || (entry.retryAt && Date.now() >= entry.retryAt)) {
+      entry = { image: null, retryAt: null };
+      this.entries.set(imageId, entry);
+      this.load(imageId, entry);
+    }
+    return entry.image;
+  }
+  
+  // An image this client has already, such as one it just uploaded
+  add(imageId, image) {
+    this.entries.set(imageId, { image, retryAt: null });
+  }
+  
+  async load(imageId, entry) {
+    try {
+      if (!this.fetchImage) throw new Error('No image source');
+      entry.image = await this.fetchImage(imageId);
+      if (this.onLoad) this.onLoad(imageId);
+    } catch (error) {
+      console.warn(`Could not load image ${imageId}:`, error);
+      entry.retryAt = Date.now() + RETRY_DELAY;
+    }
+  }
+}
+
+// Draw an image stroke, or a placeholder box while its image is not there
+export function drawImageStroke(ctx, stroke, image) {
+  const [start, end] = stroke.points;
+  const width = end.x - start.x;
+  const height = end.y - start.y;
+  
+  if (image) {
+    ctx.drawImage(image, start.x, start.y, width, height);
+    return;
+  }
+  
+  ctx.fillStyle = PLACEHOLDER_FILL;
+  ctx.strokeStyle = PLACEHOLDER_STROKE;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 4]);
+  ctx.fillRect(start.x, start.y, width, height);
+  ctx.strokeRect(start.x, start.y, width, height);
+  ctx.setLineDash([]);
+}
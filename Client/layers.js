@@ -0,0 +1,24 @@
+// Shared layers: every stroke belongs to one, and everyone in a room sees the same stack.
+// Layers are listed bottom to top; strokes sent without a layer belong to the default one.
+export const DEFAULT_LAYER_ID = 'default';
+
+export function createDefaultLayers() {
+  return [{ layerId: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, opacity: 1, locked: false }];
+}
+
+export function getStrokeLayerId(stroke) {
+  return stroke.layerId || DEFAULT_LAYER_ID;
+}
+
+export function generateLayerId() {
+  return 'layer_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+}
+
+// Next free "Layer N" name, counting up from the highest number in use
+export function getNextLayerName(layers) {
+  const numbers = layers.map(layer => {
+    const match = /^Layer (\d+)$/.exec(layer.name);
+    return match ? parseInt(match[1], 10) : 0;
+  });
+  return `Layer ${Math.max(0, ...numbers) + 1}`;
+}
@@ -1,41 +1,149 @@
-import { CanvasManager } from './canvas.js';
+import { CanvasManager, isEditableTarget } from './canvas.js';
 import { WebSocketClient } from './websocket.js';
+import { ensureSession, login, register, clearSession } from './auth.js';
+import { generateLayerId, getNextLayerName, getStrokeLayerId } from './layers.js';
+import { DEFAULT_BRUSH, BRUSH_PRESETS, normalizeBrush, sameBrush } from './brushes.js';
+import { MAX_IMAGE_BYTES, isImageFile, uploadImage, downloadImage } from './images.js';
+
+const SERVER_URL = 'http://localhost:3000';
+
+// The display name and color picked in the sidebar, remembered in this browser
+const PROFILE_KEY = 'canvas_profile';
+const DEFAULT_USER_COLOR = '#6366f1';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function loadProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveProfile(profile) {
+  localStorage.setItem(PROFILE_KEY, JSON.stringify({ ...loadProfile(), ...profile }));
+}
+
+// Brush presets the user saved, [{ id, name, brush }], remembered in this browser
+const BRUSH_PRESETS_KEY = 'canvas_brush_presets';
+const MAX_PRESET_NAME_LENGTH = 32;
+
+function loadCustomPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(BRUSH_PRESETS_KEY));
+    return Array.isArray(presets) ? presets.filter(preset => preset && preset.id && typeof preset.name === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveCustomPresets(presets) {
+  localStorage.setItem(BRUSH_PRESETS_KEY, JSON.stringify(presets));
+}
+
+// Several images dropped or picked at once are placed this far apart on screen, in CSS pixels
+const IMAGE_CASCADE_OFFSET = 24;
+
+// Toolbar tools with their keyboard shortcut and header indicator
+const TOOLS = {
+  brush: { key: 'b', icon: 'fas fa-paintbrush', label: 'Brush Mode' },
+  eraser: { key: 'e', icon: 'fas fa-eraser', label: 'Eraser Mode' },
+  'stroke-eraser': { key: 'x', icon: 'fas fa-broom', label: 'Stroke Eraser' },
+  line: { key: 'l', icon: 'fas fa-minus', label: 'Line Tool' },
+  arrow: { key: 'a', icon: 'fas fa-arrow-right-long', label: 'Arrow Tool' },
+  rectangle: { key: 'r', icon: 'far fa-square', label: 'Rectangle Tool' },
+  ellipse: { key: 'o', icon: 'far fa-circle', label: 'Ellipse Tool' },
+  text: { key: 't', icon: 'fas fa-font', label: 'Text Tool' },
+  fill: { key: 'g', icon: 'fas fa-fill-drip', label: 'Fill Tool' },
+  select: { key: 'v', icon: 'fas fa-arrow-pointer', label: 'Select Tool' }
+};
+
+// Room roles as shown in the users panel
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+// Kicking or muting a guest closes the room to guests, who could otherwise come back as a new one
+const GUESTS_CLOSED_MESSAGE = 'Guests can no longer join this room; allow them again in the room settings';
+
+// Why the canvas is read-only: the status bar badge and the notice when it starts
+const READ_ONLY_STATES = {
+  viewer: { label: 'View only', message: 'You are a viewer in this room' },
+  muted: { label: 'Muted', message: 'The room owner muted you' },
+  locked: { label: 'Board locked', message: 'The room owner locked the board' }
+};
 
 class CollaborativeCanvasApp {
   constructor() {
     const urlParams = new URLSearchParams(window.location.search);
-    this.userColor = urlParams.get('color') || '#6366f1';
+    const profile = loadProfile();
+    const urlColor = urlParams.get('color');
+    this.userColor = COLOR_PATTERN.test(urlColor) ? urlColor : profile.color || DEFAULT_USER_COLOR;
+    this.displayName = profile.username || null;
     this.roomId = urlParams.get('room') || 'default';
+    this.invite = urlParams.get('invite');
     
-    // Generate persistent user ID for the session to maintain identity across reconnects
-    let storedUserId = sessionStorage.getItem('canvas_userId');
-    if (!storedUserId) {
-      storedUserId = 'user_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
-      sessionStorage.setItem('canvas_userId', storedUserId);
-    }
-    this.userId = storedUserId;
+    // The identity comes from the server-issued session, obtained in init()
+    this.session = null;
+    this.userId = null;
     this.username = 'Anonymous';
     
-    console.log('Initialized with userId:', this.userId);
-    
     if (!document.getElementById('canvas')) {
       return;
     }
     
     this.canvas = document.getElementById('canvas');
-    this.brushBtn = document.getElementById('brushBtn');
-    this.eraserBtn = document.getElementById('eraserBtn');
+    this.toolButtons = document.querySelectorAll('.tool-btn[data-tool]');
+    this.fillToggle = document.getElementById('fillToggle');
+    this.fillToleranceRange = document.getElementById('fillToleranceRange');
+    this.fillToleranceLabel = document.getElementById('fillToleranceLabel');
+    this.fillSampleAllToggle = document.getElementById('fillSampleAllToggle');
+    this.imageBtn = document.getElementById('imageBtn');
+    this.imageInput = document.getElementById('imageInput');
+    this.fontSizeRange = document.getElementById('fontSizeRange');
+    this.fontSizeLabel = document.getElementById('fontSizeLabel');
+    this.alignButtons = document.querySelectorAll('.align-btn[data-align]');
+    this.erasePermission = document.getElementById('erasePermission');
+    this.defaultRole = document.getElementById('defaultRole');
+    this.allowGuests = document.getElementById('allowGuests');
+    this.lockDuration = document.getElementById('lockDuration');
+    this.lockBoardBtn = document.getElementById('lockBoardBtn');
+    this.roomSettingsNote = document.getElementById('roomSettingsNote');
+    this.roomAccess = document.getElementById('roomAccess');
+    this.roomPassword = document.getElementById('roomPassword');
+    this.inviteBtn = document.getElementById('inviteBtn');
+    this.displayNameInput = document.getElementById('displayName');
+    this.avatarColor = document.getElementById('avatarColor');
+    this.accountStatus = document.getElementById('accountStatus');
+    this.loginForm = document.getElementById('loginForm');
+    this.loginUsername = document.getElementById('loginUsername');
+    this.loginPassword = document.getElementById('loginPassword');
+    this.registerBtn = document.getElementById('registerBtn');
+    this.logoutBtn = document.getElementById('logoutBtn');
+    this.layersList = document.getElementById('layersList');
+    this.addLayerBtn = document.getElementById('addLayerBtn');
     this.colorPicker = document.getElementById('colorPicker');
     this.colorHex = document.getElementById('colorHex');
     this.widthRange = document.getElementById('widthRange');
     this.widthLabel = document.getElementById('widthLabel');
+    this.smoothingRange = document.getElementById('smoothingRange');
+    this.smoothingLabel = document.getElementById('smoothingLabel');
     this.brushPreview = document.getElementById('brushPreview');
+    this.brushPresets = document.getElementById('brushPresets');
+    this.brushOpacityRange = document.getElementById('brushOpacityRange');
+    this.brushOpacityLabel = document.getElementById('brushOpacityLabel');
+    this.brushBlend = document.getElementById('brushBlend');
+    this.brushTip = document.getElementById('brushTip');
+    this.brushTexture = document.getElementById('brushTexture');
+    this.brushDashToggle = document.getElementById('brushDashToggle');
+    this.saveBrushPresetBtn = document.getElementById('saveBrushPresetBtn');
+    this.customPresets = loadCustomPresets();
     this.undoBtn = document.getElementById('undoBtn');
     this.redoBtn = document.getElementById('redoBtn');
     this.clearBtn = document.getElementById('clearBtn');
     this.downloadBtn = document.getElementById('downloadBtn');
     this.canvasSize = document.getElementById('canvasSize');
     this.toolIndicator = document.getElementById('toolIndicator');
+    this.viewOnlyBadge = document.getElementById('viewOnlyBadge');
+    this.outboxBadge = document.getElementById('outboxBadge');
     this.cursorPreview = document.getElementById('cursorPreview');
     
     this.conflictInfo = document.getElementById('conflictInfo');
@@ -44,44 +152,88 @@ class CollaborativeCanvasApp {
     this.lamportClock = document.getElementById('lamportClock');
     
     this.users = new Map();
+    this.readOnlyReason = null;
+    
+    // Whether the canvas was ever synced with the room (rejoins then only fetch what was missed)
+    // and whether a rejoin is in progress
+    this.synced = false;
+    this.resuming = false;
+    
+    // Sequence number of the layer stack shown, so a stale stack never replaces a newer one,
+    // and the layer whose name is being edited (the list is not rebuilt while it is)
+    this.layersSeq = 0;
+    this.renamingLayerId = null;
+    
+    // Last known document position of each remote cursor, re-projected when the view pans or zooms
+    this.remoteCursorPositions = new Map();
     
     this.remoteCursorsContainer = document.createElement('div');
     this.remoteCursorsContainer.id = 'remote-cursors';
     document.querySelector('.canvas-wrapper').appendChild(this.remoteCursorsContainer);
     
     this.canvasManager = new CanvasManager(this.canvas);
-    this.wsClient = new WebSocketClient('http://localhost:3000');
+    this.wsClient = new WebSocketClient(SERVER_URL);
     
     this.startConflictMonitoring();
     this.init();
   }
   
-  init() {
+  async init() {
     this.setupUI();
     this.setupWebSocket();
     this.setupKeyboardShortcuts();
     this.updateUI();
     
+    try {
+      this.session = await ensureSession(SERVER_URL);
+    } catch (error) {
+      console.error('Could not start a session:', error);
+      this.showNotification('Could not reach the server, reload to try again', 'error');
+      return;
+    }
+    this.userId = this.session.user.userId;
+    this.canvasManager.userId = this.userId;
+    this.canvasManager.images.fetchImage = imageId => downloadImage(SERVER_URL, this.roomId, this.session.token, imageId);
+    this.updateAccountUI();
+    console.log('Initialized with userId:', this.userId);
+    
     this.wsClient.connect(this.roomId, {
       userId: this.userId,
-      username: this.username,
-      color: this.userColor
+      token: this.session.token,
+      username: this.displayName,
+      color: this.userColor,
+      invite: this.invite
     });
     
     this.createUsersPanel();
+    this.updateLayersList();
     this.setupCursorTracking();
   }
   
   setupUI() {
-    this.brushBtn.addEventListener('click', () => {
-      this.canvasManager.setMode('brush');
-      this.updateToolUI();
+    this.toolButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.canvasManager.setMode(btn.dataset.tool);
+        this.updateToolUI();
+      });
     });
     
-    this.eraserBtn.addEventListener('click', () => {
-      this.canvasManager.setMode('eraser');
-      this.updateToolUI();
-    });
+    if (this.fillToggle) {
+      this.fillToggle.addEventListener('change', (e) => {
+        this.canvasManager.setFillShapes(e.target.checked);
+      });
+    }
+    
+    if (this.fillToleranceRange) {
+      this.fillToleranceRange.addEventListener('input', (e) => {
+        const tolerance = parseInt(e.target.value, 10);
+        this.canvasManager.setFillTolerance(tolerance / 100);
+        this.fillToleranceLabel.textContent = tolerance + '%';
+      });
+      this.fillSampleAllToggle.addEventListener('change', (e) => {
+        this.canvasManager.setFillSampleAll(e.target.checked);
+      });
+    }
     
     this.colorPicker.addEventListener('input', (e) => {
       this.canvasManager.setColor(e.target.value);
@@ -96,33 +248,103 @@ class CollaborativeCanvasApp {
       this.updateBrushPreview();
     });
     
-    this.undoBtn.addEventListener('click', async () => {
-      const success = await this.canvasManager.undo();
-      if (success) {
-        // Broadcast the undo action with the new canvas state (after it's been applied)
-        const canvasData = this.canvasManager.getCanvasData();
-        console.log('Sending undo with canvas data:', canvasData.substring(0, 50) + '...');
-        this.wsClient.sendUndo(canvasData);
-      } else {
-        console.log('Undo failed - nothing to undo');
-      }
-    });
+    if (this.smoothingRange) {
+      this.smoothingRange.addEventListener('input', (e) => {
+        const smoothing = parseInt(e.target.value, 10);
+        this.canvasManager.setSmoothing(smoothing / 100);
+        this.smoothingLabel.textContent = smoothing + '%';
+      });
+    }
     
-    this.redoBtn.addEventListener('click', async () => {
-      const success = await this.canvasManager.redo();
-      if (success) {
-        // Broadcast the redo action with the new canvas state (after it's been applied)
-        const canvasData = this.canvasManager.getCanvasData();
-        console.log('Sending redo with canvas data:', canvasData.substring(0, 50) + '...');
-        this.wsClient.sendRedo(canvasData);
-      } else {
-        console.log('Redo failed - nothing to redo');
-      }
+    this.setupBrushControls();
+    this.setupImageImport();
+    
+    if (this.fontSizeRange) {
+      this.fontSizeRange.addEventListener('input', (e) => {
+        const fontSize = parseInt(e.target.value, 10);
+        this.canvasManager.setFontSize(fontSize);
+        this.fontSizeLabel.textContent = fontSize + 'px';
+      });
+    }
+    
+    this.alignButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.canvasManager.setTextAlign(btn.dataset.align);
+        this.updateAlignUI();
+      });
     });
     
+    if (this.erasePermission) {
+      this.erasePermission.addEventListener('change', (e) => {
+        this.wsClient.updateRoomSettings({ erasePermission: e.target.value });
+      });
+    }
+    
+    if (this.defaultRole) {
+      this.defaultRole.addEventListener('change', (e) => {
+        this.wsClient.updateRoomSettings({ defaultRole: e.target.value });
+      });
+    }
+    
+    if (this.allowGuests) {
+      this.allowGuests.addEventListener('change', (e) => {
+        this.wsClient.updateRoomSettings({ allowGuests: e.target.value === 'true' });
+      });
+    }
+    
+    if (this.lockBoardBtn) {
+      this.lockBoardBtn.addEventListener('click', () => this.toggleBoardLock());
+    }
+    
+    if (this.roomAccess) {
+      this.roomAccess.addEventListener('change', (e) => this.changeRoomAccess(e.target.value));
+      this.roomPassword.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.changeRoomAccess('password');
+      });
+      this.inviteBtn.addEventListener('click', () => this.copyInviteLink());
+    }
+    
+    if (this.displayNameInput) {
+      this.displayNameInput.value = this.displayName || '';
+      this.avatarColor.value = this.userColor;
+      this.displayNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.displayNameInput.blur();
+      });
+      this.displayNameInput.addEventListener('change', () => {
+        const username = this.displayNameInput.value.trim();
+        if (username) {
+          this.updateProfile({ username });
+        } else {
+          this.displayNameInput.value = this.username;
+        }
+      });
+      this.avatarColor.addEventListener('change', (e) => this.updateProfile({ color: e.target.value }));
+    }
+    
+    if (this.loginForm) {
+      this.loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitLogin(login);
+      });
+      this.registerBtn.addEventListener('click', () => this.submitLogin(register));
+      this.logoutBtn.addEventListener('click', () => {
+        clearSession();
+        window.location.reload();
+      });
+    }
+    
+    if (this.addLayerBtn) {
+      this.addLayerBtn.addEventListener('click', () => this.addLayer());
+    }
+    
+    this.undoBtn.addEventListener('click', () => this.performUndo());
+    
+    this.redoBtn.addEventListener('click', () => this.performRedo());
+    
     this.clearBtn.addEventListener('click', () => {
+      if (this.canvasManager.readOnly) return;
       this.canvasManager.clear();
-      this.wsClient.clearCanvas();
+      this.sendOperation((op, ack) => this.wsClient.clearCanvas(op, ack), {});
     });
     
     this.downloadBtn.addEventListener('click', () => {
@@ -136,32 +358,197 @@ class CollaborativeCanvasApp {
     this.canvasManager.onStateChange = (type, data) => {
       if (type === 'draw') {
         console.log('Sending drawing event:', data.type, data.strokeId);
-        this.wsClient.sendDrawing(data);
+        this.sendOperation((op, ack) => this.wsClient.sendDrawing(op, ack), data);
+      } else if (type === 'transform') {
+        this.sendOperation((op, ack) => this.wsClient.sendTransform(op, ack), { strokes: data });
+      } else if (type === 'erase') {
+        this.sendErase(data);
+      } else if (type === 'view') {
+        this.repositionRemoteCursors();
+      } else if (type === 'layers' || type === 'active-layer') {
+        this.updateLayersList();
+      } else if (type === 'layer-blocked') {
+        this.showNotification(`${data.name} is ${data.locked ? 'locked' : 'hidden'}, pick another layer to draw on`, 'warning');
+      } else if (type === 'fill-blocked') {
+        this.showNotification('This area is too detailed to fill, try a higher tolerance', 'warning');
+      } else if (type === 'fill-too-large') {
+        this.showNotification('This area is too large to fill, try a smaller window', 'warning');
       }
       this.updateUI();
     };
   }
   
+  // Stamp a local operation with the Lamport clock and track it until the server sequences it.
+  // Offline it waits in the outbox and is sent after reconnecting.
+  sendOperation(send, payload, onAck = null) {
+    const resolver = this.canvasManager.conflictResolver;
+    const op = { ...payload, lamport: resolver.tick() };
+    resolver.track();
+    send(op, (ack) => {
+      resolver.acknowledge(ack ? ack.seq : null);
+      if (onAck) onAck(ack);
+    });
+  }
+  
+  // The canvas is in sync with the room again, after a full state or a catch-up of missed operations
+  finishSync(missed) {
+    if (this.resuming) {
+      let message = 'Back online, the canvas was reloaded';
+      if (missed === 0) message = 'Back online';
+      else if (missed) message = `Back online, caught up on ${missed} change${missed === 1 ? '' : 's'}`;
+      this.showNotification(message, 'success');
+    }
+    this.synced = true;
+    this.resuming = false;
+  }
+  
+  // The server skips strokes the room settings do not let us erase (they may have changed
+  // since we erased locally), so resync from its stroke log when anything was refused
+  sendErase(change) {
+    this.sendOperation((op, ack) => this.wsClient.sendEraseStrokes(op, ack), change, (ack) => {
+      if (!ack || !ack.strokeIds || ack.strokeIds.length < change.strokeIds.length) {
+        this.wsClient.requestCanvasState();
+      }
+    });
+  }
+  
+  performUndo() {
+    const change = this.canvasManager.undo();
+    if (change && this.sendRestoredContent(change)) {
+      console.log('Sent undo as a content update');
+    } else if (change) {
+      // Broadcast which strokes were removed or restored, peers apply the same change
+      console.log('Sending undo:', change.strokeIds.length, 'strokes, removed:', change.removed);
+      this.sendOperation((op, ack) => this.wsClient.sendUndo(op, ack), change);
+    } else {
+      console.log('Undo failed - nothing to undo');
+    }
+  }
+  
+  performRedo() {
+    const change = this.canvasManager.redo();
+    if (change && this.sendRestoredContent(change)) {
+      console.log('Sent redo as a content update');
+    } else if (change) {
+      console.log('Sending redo:', change.strokeIds.length, 'strokes, removed:', change.removed);
+      this.sendOperation((op, ack) => this.wsClient.sendRedo(op, ack), change);
+    } else {
+      console.log('Redo failed - nothing to redo');
+    }
+  }
+  
+  // Undoing a text edit, a transform or a stroke eraser removal sends the earlier state as a
+  // regular update instead of an undo message; returns false for plain remove/restore changes
+  sendRestoredContent(change) {
+    if (change.drawing) {
+      this.sendOperation((op, ack) => this.wsClient.sendDrawing(op, ack), change.drawing);
+      return true;
+    }
+    if (change.transforms) {
+      this.sendOperation((op, ack) => this.wsClient.sendTransform(op, ack), { strokes: change.transforms });
+      return true;
+    }
+    if (change.erase) {
+      this.sendErase(change.erase);
+      return true;
+    }
+    return false;
+  }
+  
+  // Layer changes go through the server, which answers with the resulting layer stack
+  sendLayerChange(send, payload, onApplied = null) {
+    this.sendOperation(send, payload, (ack) => {
+      if (!ack || !ack.layers) return;
+      this.applyLayers(ack.layers, ack.seq);
+      if (onApplied) onApplied();
+    });
+  }
+  
+  applyLayers(layers, seq) {
+    if (seq < this.layersSeq) return;
+    this.layersSeq = seq;
+    this.canvasManager.setLayers(layers);
+  }
+  
+  // New layers go on top and become the layer this user draws on
+  addLayer() {
+    const layerId = generateLayerId();
+    const name = getNextLayerName(this.canvasManager.layers);
+    this.sendLayerChange((op, ack) => this.wsClient.addLayer(op, ack), { layerId, name }, () => {
+      this.canvasManager.setActiveLayer(layerId);
+    });
+  }
+  
+  updateLayer(layerId, changes) {
+    this.sendLayerChange((op, ack) => this.wsClient.updateLayer(op, ack), { layerId, changes });
+  }
+  
+  moveLayer(layerId, index) {
+    this.sendLayerChange((op, ack) => this.wsClient.moveLayer(op, ack), { layerId, index });
+  }
+  
+  // Deleting a layer deletes everything drawn on it, for everyone
+  removeLayer(layer) {
+    const hasStrokes = Array.from(this.canvasManager.strokes.values())
+      .some(stroke => getStrokeLayerId(stroke) === layer.layerId && !stroke.removed);
+    if (hasStrokes && !confirm(`Delete "${layer.name}" and everything drawn on it?`)) return;
+    
+    this.sendLayerChange((op, ack) => this.wsClient.removeLayer(op, ack), { layerId: layer.layerId });
+  }
+  
+  deleteSelection() {
+    const change = this.canvasManager.deleteSelection();
+    if (change && change.strokeIds.length > 0) {
+      this.sendOperation((op, ack) => this.wsClient.sendRemoveStrokes(op, ack), change);
+    }
+  }
+  
   setupWebSocket() {
+    const resolver = this.canvasManager.conflictResolver;
+    
+    // Remote operations are buffered and applied strictly in server sequence order
+    resolver.onApply = (kind, data) => this.applyRemoteOperation(kind, data);
+    resolver.onGap = () => this.wsClient.requestCanvasState();
+    
+    // Joining (or rejoining) the room brings the canvas state, or only what was missed
+    this.wsClient.getLastSeq = () => this.synced ? resolver.getLastSeq() : null;
+    
     this.wsClient.onConnect = () => {
       console.log('WebSocket connected');
-      this.showNotification('Connected to server', 'success');
-      this.wsClient.requestCanvasState();
+      this.resuming = this.synced;
+      if (!this.resuming) this.showNotification('Connected to server', 'success');
     };
     
-    this.wsClient.onUsernameAssigned = (username) => {
+    this.wsClient.onUsernameAssigned = (username, color) => {
       console.log('Assigned username:', username);
-      this.username = username;
-      const roomInfo = document.querySelector('.room-info');
-      if (roomInfo) {
-        roomInfo.innerHTML = `
-          <i class="fas fa-door-open"></i> 
-          Room: ${this.roomId.substring(0, 8)}... | 
-          <i class="fas fa-user"></i> ${this.username}
-        `;
+      this.setOwnProfile(username, color);
+    };
+    
+    // Renames and color changes, including our own from another tab
+    this.wsClient.onUserUpdated = (data) => {
+      if (data.userId === this.userId) {
+        this.setOwnProfile(data.username, data.color);
+        return;
+      }
+      
+      const user = this.users.get(data.userId);
+      if (!user) return;
+      
+      const previousName = user.username;
+      user.username = data.username;
+      user.color = data.color;
+      this.updateUsersList();
+      
+      // The cursor is drawn again with the new name and color on its next move
+      const cursor = document.getElementById(`cursor-${data.userId}`);
+      if (cursor) cursor.remove();
+      if (previousName !== data.username) {
+        this.showNotification(`${previousName} is now ${data.username}`, 'info');
       }
     };
     
+    this.wsClient.onQueueChange = (size) => this.updateOutboxBadge(size);
+    
     this.wsClient.onDisconnect = () => {
       console.log('WebSocket disconnected');
       this.showNotification('Disconnected from server', 'warning');
@@ -169,13 +556,35 @@ class CollaborativeCanvasApp {
     
     this.wsClient.onDrawing = (drawData) => {
       console.log('Received drawing event:', drawData.type, drawData.userId, drawData.strokeId);
-      this.canvasManager.applyRemoteDrawing(drawData);
+      resolver.receive('drawing', drawData);
     };
     
     this.wsClient.onCanvasState = (data) => {
-      if (data.canvasData) {
-        this.canvasManager.loadCanvasData(data.canvasData);
+      if (Array.isArray(data.strokes)) {
+        // Server stroke log is the source of truth: rebuild all layers from it,
+        // keeping our strokes that still have operations waiting in the outbox
+        const unsent = Array.from(this.wsClient.getQueuedStrokeIds(), id => this.canvasManager.strokes.get(id)).filter(Boolean);
+        this.canvasManager.loadStrokes(data.strokes, data.layers, unsent);
+        this.layersSeq = data.seq || 0;
+        resolver.reset(data.seq);
+        this.finishSync(null);
+      }
+    };
+    
+    this.wsClient.onCatchUp = (data) => {
+      let changes = 0;
+      for (const { event, data: operation, opId } of data.operations) {
+        // Operations this page sent were applied when it made them and only take up their place
+        if (this.wsClient.isOwnOperation(opId)) {
+          resolver.skip(operation.seq);
+          continue;
+        }
+        
+        resolver.receive(event, operation);
+        // Points streamed into a stroke are part of one change
+        if (event !== 'drawing' || !['points', 'move', 'end'].includes(operation.type)) changes++;
       }
+      this.finishSync(changes);
     };
     
     this.wsClient.onUserJoin = (data) => {
@@ -199,10 +608,8 @@ class CollaborativeCanvasApp {
         const totalUsers = this.users.size + 1;
         this.showNotification(`${user.username} left • ${totalUsers} user${totalUsers > 1 ? 's' : ''} online`, 'warning');
       }
-      // Remove their cursor
+      // Remove their cursor; their strokes stay, since the server keeps them for late joiners too
       this.updateRemoteCursor(data.userId, '', '', null);
-      // Remove their canvas layer
-      this.canvasManager.removeRemoteUser(data.userId);
     };
     
     this.wsClient.onCursorMove = (data) => {
@@ -212,37 +619,37 @@ class CollaborativeCanvasApp {
       }
     };
     
-    this.wsClient.onClearCanvas = (data) => {
-      console.log('Clear canvas event received from:', data.userId);
-      // Only clear remote canvas if someone else cleared their drawings
-      if (data.userId !== this.userId) {
-        this.canvasManager.clearRemoteCanvas(data.userId);
-        const user = this.users.get(data.userId);
-        const username = user ? user.username : 'Someone';
-        this.showNotification(`${username} cleared their drawings`, 'info');
-      }
-    };
+    this.wsClient.onClearCanvas = (data) => resolver.receive('clear-canvas', data);
     
-    this.wsClient.onUndo = (data) => {
-      console.log('Undo event received from:', data.userId, 'Has canvas data:', !!data.canvasData);
-      // Update the remote user's canvas with their undo state
-      if (data.canvasData && data.userId) {
-        this.canvasManager.updateRemoteCanvas(data.userId, data.canvasData);
-        const user = this.users.get(data.userId);
-        const username = user ? user.username : 'Someone';
-        this.showNotification(`${username} undid their action`, 'info');
+    this.wsClient.onUndo = (data) => resolver.receive('undo', data);
+    
+    this.wsClient.onRedo = (data) => resolver.receive('redo', data);
+    
+    this.wsClient.onRemoveStrokes = (data) => resolver.receive('remove-strokes', data);
+    
+    this.wsClient.onTransformStrokes = (data) => resolver.receive('transform-strokes', data);
+    
+    this.wsClient.onEraseStrokes = (data) => resolver.receive('erase-strokes', data);
+    
+    this.wsClient.onLayers = (data) => resolver.receive('layers', data);
+    
+    this.wsClient.onRoomSettings = (data) => {
+      const previousReason = this.readOnlyReason;
+      this.canvasManager.setRoomSettings(data);
+      this.readOnlyReason = this.canvasManager.getReadOnlyReason();
+      this.updateRoomSettingsUI();
+      this.updateRoleUI();
+      this.updateUsersList();
+      
+      if (this.readOnlyReason !== previousReason) {
+        this.showNotification(this.readOnlyReason ? READ_ONLY_STATES[this.readOnlyReason].message : 'You can draw in this room again', 'info');
+        // Anything drawn just before the change may have been refused, so resync
+        if (!previousReason) this.wsClient.requestCanvasState();
       }
     };
     
-    this.wsClient.onRedo = (data) => {
-      console.log('Redo event received from:', data.userId, 'Has canvas data:', !!data.canvasData);
-      // Update the remote user's canvas with their redo state
-      if (data.canvasData && data.userId) {
-        this.canvasManager.updateRemoteCanvas(data.userId, data.canvasData);
-        const user = this.users.get(data.userId);
-        const username = user ? user.username : 'Someone';
-        this.showNotification(`${username} redid their action`, 'info');
-      }
+    this.wsClient.onKicked = (data) => {
+      this.showNotification(data.message || 'You were removed from this room', 'error');
     };
     
     this.wsClient.onUsersUpdate = (users) => {
@@ -257,43 +664,217 @@ class CollaborativeCanvasApp {
     
     this.wsClient.onError = (error) => {
       console.error('WebSocket error:', error);
+      if (error && error.type === 'join-error') this.handleJoinError(error);
+      if (error && error.type === 'request-error') this.handleRequestError(error);
+      if (error && error.type === 'auth-error') {
+        // A stale session can't be repaired here; start over with a fresh one
+        clearSession();
+        window.location.reload();
+      }
     };
   }
   
+  // Log in or register, then reload so the connection is made with the account's identity
+  async submitLogin(request) {
+    const username = this.loginUsername.value.trim();
+    const password = this.loginPassword.value;
+    if (!username || !password) {
+      this.showNotification('Enter a username and a password', 'info');
+      return;
+    }
+    
+    try {
+      await request(SERVER_URL, username, password);
+      window.location.reload();
+    } catch (error) {
+      this.showNotification(error.message, 'error');
+      this.loginPassword.value = '';
+    }
+  }
+  
+  // Remember what was picked, then let the server settle the name (it may add a number)
+  updateProfile(changes) {
+    saveProfile(changes);
+    if (changes.color) this.userColor = changes.color;
+    
+    this.wsClient.updateProfile(changes, (result) => {
+      if (!result || !result.ok) {
+        this.showNotification((result && result.error) || 'Could not update your profile', 'error');
+        return;
+      }
+      if (changes.username && result.username !== changes.username) {
+        this.showNotification(`Someone here is already called ${changes.username}, you are ${result.username}`, 'info');
+      }
+    });
+  }
+  
+  // The name and color the server assigned to us
+  setOwnProfile(username, color) {
+    this.username = username;
+    this.userColor = color;
+    if (this.displayNameInput && document.activeElement !== this.displayNameInput) {
+      this.displayNameInput.value = username;
+    }
+    if (this.avatarColor) this.avatarColor.value = color;
+    this.updateUsersList();
+  }
+  
+  updateAccountUI() {
+    if (!this.loginForm) return;
+    
+    const { user } = this.session;
+    this.accountStatus.textContent = user.guest ? 'You are drawing as a guest' : `Logged in as ${user.username}`;
+    this.loginForm.hidden = !user.guest;
+    this.logoutBtn.hidden = user.guest;
+  }
+  
+  // Private rooms ask for a password, which is tried right away; invite problems can only be reported
+  handleJoinError(error) {
+    if (error.code === 'password-required' || error.code === 'password-invalid') {
+      const password = window.prompt(`${error.message}. Enter the password for room ${this.roomId}:`);
+      if (password) {
+        this.wsClient.setRoomPassword(password);
+        return;
+      }
+    }
+    if (error.code === 'login-required' && this.loginUsername) {
+      this.loginUsername.focus();
+    }
+    this.showNotification(error.message || 'Could not join the room', 'error');
+  }
+  
+  // Whatever a refused event changed here never reached the server, so resync the canvas
+  handleRequestError(error) {
+    if (error.code === 'not-joined' || error.event === 'cursor-move') return;
+    
+    this.showNotification(error.message || 'The server refused a request', 'warning');
+    if (error.event !== 'request-canvas-state' && error.event !== 'join-room') {
+      this.wsClient.requestCanvasState();
+    }
+  }
+  
+  // Owner only: password mode takes the password typed next to the selector
+  changeRoomAccess(access) {
+    const password = this.roomPassword.value;
+    if (access === 'password' && !password) {
+      this.roomPassword.focus();
+      this.showNotification('Type a password and press Enter to protect the room', 'info');
+      return;
+    }
+    
+    this.wsClient.updateRoomAccess(access, access === 'password' ? password : undefined, (result) => {
+      if (result && result.ok) {
+        this.roomPassword.value = '';
+        this.showNotification(access === 'password' ? 'Room password set' : 'Room access updated', 'success');
+      } else {
+        this.showNotification((result && result.error) || 'Could not change room access', 'error');
+        this.updateRoomSettingsUI();
+      }
+    });
+  }
+  
+  copyInviteLink() {
+    this.wsClient.createInvite(undefined, async (result) => {
+      if (!result || !result.ok) {
+        this.showNotification((result && result.error) || 'Could not create an invite', 'error');
+        return;
+      }
+      
+      const url = new URL(window.location.href);
+      url.searchParams.set('room', this.roomId);
+      url.searchParams.set('invite', result.token);
+      const expires = new Date(result.expiresAt).toLocaleString();
+      try {
+        await navigator.clipboard.writeText(url.toString());
+        this.showNotification(`Invite link copied, valid until ${expires}`, 'success');
+      } catch (error) {
+        window.prompt(`Invite link (valid until ${expires}):`, url.toString());
+      }
+    });
+  }
+  
+  applyRemoteOperation(kind, data) {
+    if (kind === 'drawing') {
+      this.canvasManager.applyRemoteDrawing(data);
+    } else if (kind === 'clear-canvas') {
+      console.log('Clear canvas event received from:', data.userId);
+      if (data.userId !== this.userId) {
+        this.canvasManager.clearRemoteCanvas(data.userId);
+        const user = this.users.get(data.userId);
+        const username = user ? user.username : 'Someone';
+        this.showNotification(data.clearedBy ? `The room owner cleared ${username}'s drawings` : `${username} cleared their drawings`, 'info');
+      } else {
+        // The room owner, or another tab or device of ours, removed our strokes; there is nothing left to undo
+        this.canvasManager.clearRemoteCanvas(this.userId);
+        this.canvasManager.clearHistory();
+        this.showNotification(data.clearedBy ? 'The room owner cleared your drawings' : 'Your drawings were cleared in another window', 'warning');
+      }
+    } else if (kind === 'undo' || kind === 'redo') {
+      console.log(`${kind} event received from:`, data.userId, 'strokes:', data.strokeIds);
+      // Remove or restore the strokes on their layer; ours too when another tab of ours undid them
+      this.canvasManager.applyRemoteStrokeChange(data);
+      if (data.userId && data.userId !== this.userId) {
+        const user = this.users.get(data.userId);
+        const username = user ? user.username : 'Someone';
+        this.showNotification(`${username} ${kind === 'undo' ? 'undid' : 'redid'} their action`, 'info');
+      }
+    } else if (kind === 'remove-strokes') {
+      this.canvasManager.applyRemoteStrokeChange(data);
+    } else if (kind === 'transform-strokes') {
+      this.canvasManager.applyRemoteTransforms(data);
+    } else if (kind === 'layers') {
+      this.applyLayers(data.layers, data.seq);
+    } else if (kind === 'erase-strokes') {
+      const changed = this.canvasManager.applyRemoteErase(data);
+      const own = changed.filter(strokeId => {
+        const stroke = this.canvasManager.strokes.get(strokeId);
+        return stroke && stroke.userId === this.userId;
+      });
+      if (own.length > 0 && data.removed !== false && data.userId !== this.userId) {
+        this.showNotification(`${data.username || 'Someone'} erased ${own.length} of your strokes`, 'info');
+      }
+    }
+  }
+  
   setupKeyboardShortcuts() {
-    window.addEventListener('keydown', async (e) => {
+    const toolKeys = new Map(Object.entries(TOOLS).map(([tool, { key }]) => [key, tool]));
+    
+    window.addEventListener('keydown', (e) => {
       const ctrl = e.ctrlKey || e.metaKey;
+      const key = e.key.toLowerCase();
+      
+      // While typing in a text box, Ctrl+Z and friends belong to the text box
+      if (this.canvasManager.isTextEditorFocused()) return;
       
       if (ctrl && e.key.toLowerCase() === 'z') {
         e.preventDefault();
         if (e.shiftKey) {
-          const success = await this.canvasManager.redo();
-          if (success) {
-            const canvasData = this.canvasManager.getCanvasData();
-            this.wsClient.sendRedo(canvasData);
-          }
+          this.performRedo();
         } else {
-          const success = await this.canvasManager.undo();
-          if (success) {
-            const canvasData = this.canvasManager.getCanvasData();
-            this.wsClient.sendUndo(canvasData);
-          }
+          this.performUndo();
         }
       } else if (ctrl && e.key.toLowerCase() === 'y') {
         e.preventDefault();
-        const success = await this.canvasManager.redo();
-        if (success) {
-          const canvasData = this.canvasManager.getCanvasData();
-          this.wsClient.sendRedo(canvasData);
-        }
-      }
-      else if (e.key.toLowerCase() === 'b' && !ctrl) {
+        this.performRedo();
+      } else if (ctrl && e.key === '0') {
         e.preventDefault();
-        this.canvasManager.setMode('brush');
-        this.updateToolUI();
-      } else if (e.key.toLowerCase() === 'e' && !ctrl) {
+        this.canvasManager.resetView();
+      } else if (isEditableTarget(e.target)) {
+        // Copy, paste and delete keep their usual meaning in form fields
+        return;
+      } else if (ctrl && key === 'c') {
+        if (this.canvasManager.copySelection()) e.preventDefault();
+      } else if (ctrl && key === 'd') {
+        e.preventDefault();
+        this.canvasManager.duplicateSelection();
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        this.deleteSelection();
+      } else if (e.key === 'Escape') {
+        this.canvasManager.clearSelection();
+      } else if (!ctrl && !e.altKey && toolKeys.has(key)) {
         e.preventDefault();
-        this.canvasManager.setMode('eraser');
+        this.canvasManager.setMode(toolKeys.get(key));
         this.updateToolUI();
       }
     });
@@ -305,27 +886,279 @@ class CollaborativeCanvasApp {
     this.updateCanvasSizeDisplay();
   }
   
+  // Brush presets and the brush engine settings they fill in; changing a setting keeps the others
+  setupBrushControls() {
+    if (!this.brushPresets) return;
+    
+    const changeBrush = (changes) => {
+      this.canvasManager.setBrush({ ...(this.canvasManager.brush || DEFAULT_BRUSH), ...changes });
+      this.updateBrushControls();
+    };
+    
+    this.brushOpacityRange.addEventListener('input', (e) => {
+      changeBrush({ opacity: parseInt(e.target.value, 10) / 100 });
+    });
+    this.brushBlend.addEventListener('change', (e) => changeBrush({ blend: e.target.value }));
+    this.brushTip.addEventListener('change', (e) => changeBrush({ tip: e.target.value }));
+    this.brushTexture.addEventListener('change', (e) => changeBrush({ texture: e.target.value }));
+    this.brushDashToggle.addEventListener('change', (e) => {
+      changeBrush({ dash: e.target.checked ? BRUSH_PRESETS.find(preset => preset.id === 'dashed').brush.dash : null });
+    });
+    this.saveBrushPresetBtn.addEventListener('click', () => this.saveBrushPreset());
+    
+    this.brushPresets.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-preset]');
+      if (!button) return;
+      
+      const preset = [...BRUSH_PRESETS, ...this.customPresets].find(item => item.id === button.dataset.preset);
+      if (!preset) return;
+      
+      if (e.target.closest('[data-action="delete"]')) {
+        this.deleteBrushPreset(preset);
+        return;
+      }
+      
+      // Picking a brush means drawing with it
+      this.canvasManager.setBrush(preset.brush);
+      this.canvasManager.setMode('brush');
+      this.updateToolUI();
+      this.updateBrushPreview();
+      this.updateBrushControls();
+    });
+    
+    this.updateBrushControls();
+  }
+  
+  // Show the current brush in the settings and highlight the preset it matches, if any
+  updateBrushControls() {
+    if (!this.brushPresets) return;
+    
+    const brush = this.canvasManager.brush || DEFAULT_BRUSH;
+    const opacity = Math.round(brush.opacity * 100);
+    this.brushOpacityRange.value = opacity;
+    this.brushOpacityLabel.textContent = opacity + '%';
+    this.brushBlend.value = brush.blend;
+    this.brushTip.value = brush.tip;
+    this.brushTexture.value = brush.texture;
+    this.brushDashToggle.checked = !!brush.dash;
+    
+    const presets = [...BRUSH_PRESETS, ...this.customPresets];
+    const active = presets.find(preset => sameBrush(preset.brush, brush));
+    this.brushPresets.innerHTML = '';
+    for (const preset of presets) {
+      const custom = !BRUSH_PRESETS.includes(preset);
+      const button = document.createElement('button');
+      button.className = 'brush-preset' + (preset === active ? ' active' : '');
+      button.dataset.preset = preset.id;
+      button.innerHTML = `
+        <i class="fas ${custom ? 'fa-star' : preset.icon}"></i>
+        <span></span>
+        ${custom ? '<i class="fas fa-xmark brush-preset-delete" data-action="delete" title="Delete preset"></i>' : ''}
+      `;
+      
+      // Preset names are typed by the user, so they are set as text rather than markup
+      button.querySelector('span').textContent = preset.name;
+      button.title = preset.name;
+      this.brushPresets.appendChild(button);
+    }
+  }
+  
+  saveBrushPreset() {
+    const name = window.prompt('Name for this brush preset:');
+    if (!name || !name.trim()) return;
+    
+    this.customPresets.push({
+      id: 'preset_' + Date.now() + '_' + Math.random().toString(36).substring(2, 7),
+      name: name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+      brush: normalizeBrush(this.canvasManager.brush) || DEFAULT_BRUSH
+    });
+    saveCustomPresets(this.customPresets);
+    this.updateBrushControls();
+  }
+  
+  deleteBrushPreset(preset) {
+    if (!confirm(`Delete the brush preset "${preset.name}"?`)) return;
+    
+    this.customPresets = this.customPresets.filter(item => item !== preset);
+    saveCustomPresets(this.customPresets);
+    this.updateBrushControls();
+  }
+  
+  // Images come from the file picker, from files dropped on the canvas or from pasting.
+  // Ctrl+V pastes an image on the clipboard, or else the strokes copied with Ctrl+C.
+  setupImageImport() {
+    const wrapper = this.canvas.parentElement;
+    const center = () => ({ x: this.canvasManager.view.width / 2, y: this.canvasManager.view.height / 2 });
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    
+    if (this.imageBtn) {
+      this.imageBtn.addEventListener('click', () => this.imageInput.click());
+      this.imageInput.addEventListener('change', () => {
+        this.importImages(Array.from(this.imageInput.files), center());
+        this.imageInput.value = '';
+      });
+    }
+    
+    wrapper.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      wrapper.classList.add('drop-target');
+    });
+    wrapper.addEventListener('dragleave', (e) => {
+      if (!wrapper.contains(e.relatedTarget)) wrapper.classList.remove('drop-target');
+    });
+    wrapper.addEventListener('drop', (e) => {
+      wrapper.classList.remove('drop-target');
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      this.importImages(Array.from(e.dataTransfer.files), { x: e.clientX - rect.left, y: e.clientY - rect.top });
+    });
+    
+    window.addEventListener('paste', (e) => {
+      if (this.canvasManager.isTextEditorFocused() || isEditableTarget(e.target)) return;
+      
+      e.preventDefault();
+      const files = Array.from(e.clipboardData ? e.clipboardData.files : []).filter(isImageFile);
+      if (files.length > 0) {
+        this.importImages(files, center());
+      } else {
+        this.canvasManager.paste();
+      }
+    });
+  }
+  
+  // Upload image files and place them on the canvas around a point on screen (CSS pixels)
+  async importImages(files, screenPos) {
+    if (this.canvasManager.readOnly || files.length === 0) return;
+    if (!this.canvasManager.checkActiveLayer()) return;
+    
+    for (const [i, file] of files.entries()) {
+      if (!isImageFile(file)) {
+        this.showNotification(`${file.name} is not a PNG, JPEG, GIF or WebP image`, 'warning');
+        continue;
+      }
+      if (file.size > MAX_IMAGE_BYTES) {
+        this.showNotification(`${file.name} is too large, images can be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`, 'warning');
+        continue;
+      }
+      
+      try {
+        const [{ imageId }, image] = await Promise.all([
+          uploadImage(SERVER_URL, this.roomId, this.session.token, file),
+          createImageBitmap(file)
+        ]);
+        
+        // Switch to the select tool, so the new image can be moved and scaled right away
+        this.canvasManager.setMode('select');
+        this.canvasManager.insertImage(imageId, image, {
+          x: screenPos.x + i * IMAGE_CASCADE_OFFSET,
+          y: screenPos.y + i * IMAGE_CASCADE_OFFSET
+        });
+        this.updateToolUI();
+      } catch (error) {
+        console.error('Image import failed:', error);
+        this.showNotification(`Could not add ${file.name}: ${error.message}`, 'error');
+      }
+    }
+  }
+  
   updateToolUI() {
     const mode = this.canvasManager.mode;
+    const tool = TOOLS[mode] || TOOLS.brush;
     
-    if (mode === 'eraser') {
-      this.eraserBtn.classList.add('active');
-      this.brushBtn.classList.remove('active');
-      this.toolIndicator.querySelector('i').className = 'fas fa-eraser';
-      this.toolIndicator.querySelector('span').textContent = 'Eraser Mode';
-    } else {
-      this.brushBtn.classList.add('active');
-      this.eraserBtn.classList.remove('active');
-      this.toolIndicator.querySelector('i').className = 'fas fa-paintbrush';
-      this.toolIndicator.querySelector('span').textContent = 'Brush Mode';
+    this.toolButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tool === mode);
+    });
+    this.toolIndicator.querySelector('i').className = tool.icon;
+    this.toolIndicator.querySelector('span').textContent = tool.label;
+    this.canvas.classList.toggle('text-mode', mode === 'text');
+    this.canvas.classList.toggle('select-mode', mode === 'select');
+  }
+  
+  // Everyone sees the room settings, only the owner can change them
+  updateRoomSettingsUI() {
+    if (!this.erasePermission) return;
+    
+    const { ownerId, settings, access } = this.canvasManager.roomSettings;
+    const isOwner = ownerId === this.userId;
+    this.erasePermission.value = settings.erasePermission;
+    this.erasePermission.disabled = !isOwner;
+    if (this.defaultRole) {
+      this.defaultRole.value = settings.defaultRole || 'editor';
+      this.defaultRole.disabled = !isOwner;
+    }
+    if (this.allowGuests) {
+      this.allowGuests.value = String(settings.allowGuests !== false);
+      this.allowGuests.disabled = !isOwner;
+    }
+    if (this.lockBoardBtn) {
+      const { locked, lockedUntil } = this.canvasManager.roomSettings;
+      this.lockDuration.disabled = !isOwner || locked;
+      this.lockBoardBtn.disabled = !isOwner;
+      this.lockBoardBtn.querySelector('i').className = locked ? 'fas fa-lock-open' : 'fas fa-lock';
+      this.lockBoardBtn.querySelector('span').textContent = locked
+        ? `Unlock (until ${new Date(lockedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`
+        : 'Lock';
+    }
+    if (this.roomAccess) {
+      this.roomAccess.value = access || 'public';
+      this.roomAccess.disabled = !isOwner;
+      this.roomPassword.disabled = !isOwner;
+      this.inviteBtn.disabled = !isOwner;
     }
+    if (this.roomSettingsNote) {
+      this.roomSettingsNote.textContent = isOwner
+        ? 'You own this room'
+        : 'Only the room owner can change these';
+    }
+  }
+  
+  // Viewers, muted users and everyone on a locked board keep panning, zooming and downloading;
+  // everything that changes the canvas is disabled
+  updateRoleUI() {
+    const readOnly = this.canvasManager.readOnly;
+    
+    this.toolButtons.forEach(btn => {
+      btn.disabled = readOnly;
+    });
+    this.undoBtn.disabled = readOnly;
+    this.redoBtn.disabled = readOnly;
+    this.clearBtn.disabled = readOnly;
+    if (this.addLayerBtn) this.addLayerBtn.disabled = readOnly;
+    if (this.viewOnlyBadge) {
+      this.viewOnlyBadge.hidden = !readOnly;
+      if (readOnly) this.viewOnlyBadge.querySelector('span').textContent = READ_ONLY_STATES[this.readOnlyReason].label;
+    }
+    this.canvas.classList.toggle('read-only', readOnly);
+    this.updateLayersList();
+  }
+  
+  // Operations waiting in the outbox. Online they go out within moments, so the count is only
+  // shown while disconnected or rejoining.
+  updateOutboxBadge(size) {
+    if (!this.outboxBadge) return;
+    
+    this.outboxBadge.hidden = size === 0 || this.wsClient.synced;
+    this.outboxBadge.querySelector('span').textContent = `${size} unsent`;
+  }
+  
+  updateAlignUI() {
+    this.alignButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.align === this.canvasManager.textAlign);
+    });
+  }
+  
+  isEraserMode() {
+    return this.canvasManager.mode === 'eraser' || this.canvasManager.mode === 'stroke-eraser';
   }
   
   updateBrushPreview() {
     if (!this.brushPreview) return;
     
     const size = Math.min(this.canvasManager.lineWidth, 60);
-    const color = this.canvasManager.mode === 'eraser' ? '#94a3b8' : this.canvasManager.strokeColor;
+    const color = this.isEraserMode() ? '#94a3b8' : this.canvasManager.strokeColor;
     
     this.brushPreview.style.color = color;
   }
@@ -333,22 +1166,25 @@ class CollaborativeCanvasApp {
   updateCanvasSizeDisplay() {
     if (!this.canvasSize) return;
     
-    this.canvasSize.querySelector('span').textContent = 
-      `${this.canvas.width} × ${this.canvas.height}`;
+    const zoom = Math.round(this.canvasManager.view.scale * 100);
+    this.canvasSize.querySelector('span').textContent = `Zoom ${zoom}%`;
   }
   
   updateCursorPreview(e) {
     if (!this.cursorPreview) return;
     
-    if (e) {
+    // The text, select and fill tools show their own cursor instead of the brush outline
+    if (e && !['text', 'select', 'fill'].includes(this.canvasManager.mode)) {
       const rect = this.canvas.getBoundingClientRect();
+      // Brush width is in document units, so the preview follows the current view scale
+      const size = this.canvasManager.lineWidth * this.canvasManager.view.scale;
       this.cursorPreview.style.left = e.clientX - rect.left + 'px';
       this.cursorPreview.style.top = e.clientY - rect.top + 'px';
-      this.cursorPreview.style.width = this.canvasManager.lineWidth + 'px';
-      this.cursorPreview.style.height = this.canvasManager.lineWidth + 'px';
+      this.cursorPreview.style.width = size + 'px';
+      this.cursorPreview.style.height = size + 'px';
       this.cursorPreview.style.opacity = '1';
       
-      if (this.canvasManager.mode === 'eraser') {
+      if (this.isEraserMode()) {
         this.cursorPreview.style.borderColor = '#94a3b8';
       } else {
         this.cursorPreview.style.borderColor = this.canvasManager.strokeColor;
@@ -416,10 +1252,12 @@ class CollaborativeCanvasApp {
       font-size: 14px;
     `;
     
+    // Messages quote names other users chose, so they go in as text
     toast.innerHTML = `
       <i class="fas ${icons[type]}" style="color: ${colors[type]}; font-size: 18px;"></i>
-      <span>${message}</span>
+      <span></span>
     `;
+    toast.querySelector('span').textContent = message;
     
     // Add animation keyframes if not already added
     if (!document.getElementById('toast-animations')) {
@@ -491,12 +1329,13 @@ class CollaborativeCanvasApp {
       userId: this.userId,
       username: this.username + ' (You)',
       color: this.userColor
-    });
+    }, false);
     usersList.appendChild(currentUserEl);
     
-    // Add other users
+    // Add other users; the room owner can change their roles and moderate them
+    const isOwner = this.canvasManager.getRole(this.userId) === 'owner';
     for (const [userId, user] of this.users) {
-      const userEl = this.createUserElement(user);
+      const userEl = this.createUserElement(user, isOwner);
       usersList.appendChild(userEl);
     }
     
@@ -505,20 +1344,216 @@ class CollaborativeCanvasApp {
     }
   }
   
-  createUserElement(user) {
+  // Layers are listed top first, like the stack they form on the canvas
+  updateLayersList() {
+    if (!this.layersList || this.renamingLayerId) return;
+    
+    const { layers, activeLayerId } = this.canvasManager;
+    this.layersList.innerHTML = '';
+    for (let i = layers.length - 1; i >= 0; i--) {
+      this.layersList.appendChild(this.createLayerElement(layers[i], i, layers.length, layers[i].layerId === activeLayerId));
+    }
+  }
+  
+  createLayerElement(layer, index, count, active) {
+    const layerEl = document.createElement('div');
+    layerEl.className = 'layer-item' + (active ? ' active' : '');
+    layerEl.innerHTML = `
+      <div class="layer-row">
+        <button class="layer-btn" data-action="visible" title="${layer.visible ? 'Hide' : 'Show'} layer">
+          <i class="fas ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+        </button>
+        <button class="layer-btn" data-action="locked" title="${layer.locked ? 'Unlock' : 'Lock'} layer">
+          <i class="fas ${layer.locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+        </button>
+        <span class="layer-name" title="Double-click to rename"></span>
+        <button class="layer-btn" data-action="up" title="Move up" ${index === count - 1 ? 'disabled' : ''}>
+          <i class="fas fa-chevron-up"></i>
+        </button>
+        <button class="layer-btn" data-action="down" title="Move down" ${index === 0 ? 'disabled' : ''}>
+          <i class="fas fa-chevron-down"></i>
+        </button>
+        <button class="layer-btn danger" data-action="remove" title="Delete layer" ${count === 1 ? 'disabled' : ''}>
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+      <div class="layer-opacity">
+        <input type="range" min="0" max="100" value="${Math.round(layer.opacity * 100)}" title="Opacity">
+        <span class="layer-opacity-value">${Math.round(layer.opacity * 100)}%</span>
+      </div>
+    `;
+    
+    // Names come from other users, so they are set as text rather than markup
+    const nameEl = layerEl.querySelector('.layer-name');
+    nameEl.textContent = layer.name;
+    nameEl.addEventListener('dblclick', () => {
+      if (!this.canvasManager.readOnly) this.startLayerRename(nameEl, layer);
+    });
+    
+    // Viewers see the shared stack but can only pick which layer is highlighted
+    if (this.canvasManager.readOnly) {
+      layerEl.querySelectorAll('button, input').forEach(el => {
+        el.disabled = true;
+      });
+    }
+    
+    layerEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) {
+        if (!e.target.closest('input')) this.canvasManager.setActiveLayer(layer.layerId);
+        return;
+      }
+      
+      const action = button.dataset.action;
+      if (action === 'visible' || action === 'locked') {
+        this.updateLayer(layer.layerId, { [action]: !layer[action] });
+      } else if (action === 'up' || action === 'down') {
+        this.moveLayer(layer.layerId, index + (action === 'up' ? 1 : -1));
+      } else if (action === 'remove') {
+        this.removeLayer(layer);
+      }
+    });
+    
+    // Opacity previews locally while dragging and is sent once released
+    const opacityRange = layerEl.querySelector('.layer-opacity input');
+    const opacityValue = layerEl.querySelector('.layer-opacity-value');
+    opacityRange.addEventListener('input', () => {
+      opacityValue.textContent = opacityRange.value + '%';
+      this.canvasManager.previewLayer(layer.layerId, { opacity: opacityRange.value / 100 });
+    });
+    opacityRange.addEventListener('change', () => {
+      this.updateLayer(layer.layerId, { opacity: opacityRange.value / 100 });
+    });
+    
+    return layerEl;
+  }
+  
+  // Swap the name for a text field; Enter or leaving the field renames, Escape cancels
+  startLayerRename(nameEl, layer) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input';
+    input.value = layer.name;
+    input.maxLength = 64;
+    this.renamingLayerId = layer.layerId;
+    
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      this.renamingLayerId = null;
+      
+      const name = input.value.trim();
+      if (save && name && name !== layer.name) {
+        this.updateLayer(layer.layerId, { name });
+      }
+      this.updateLayersList();
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+  
+  createUserElement(user, canModerate) {
+    const role = this.canvasManager.getRole(user.userId);
+    const { muted } = this.canvasManager.roomSettings;
+    const isMuted = !!muted && muted.includes(user.userId);
     const userEl = document.createElement('div');
     userEl.className = 'user-item';
     userEl.innerHTML = `
-      <div class="user-avatar" style="background: ${user.color}">
-        ${user.username.charAt(0).toUpperCase()}
-      </div>
+      <div class="user-avatar" style="background: ${user.color}"></div>
       <div class="user-info">
-        <div class="user-name">${user.username}</div>
+        <div class="user-name"></div>
+        <div class="user-role">${ROLE_LABELS[role]}${isMuted ? ' · Muted' : ''}</div>
       </div>
     `;
+    userEl.querySelector('.user-avatar').textContent = user.username.charAt(0).toUpperCase();
+    userEl.querySelector('.user-name').textContent = user.username;
+    
+    if (canModerate && role !== 'owner') {
+      const promote = role === 'viewer';
+      const actions = document.createElement('div');
+      actions.className = 'user-actions';
+      actions.append(
+        this.createUserActionButton(promote ? 'fa-pen' : 'fa-eye', promote ? 'Let this user draw' : 'Make this user a viewer',
+          () => this.setUserRole(user, promote ? 'editor' : 'viewer')),
+        this.createUserActionButton(isMuted ? 'fa-comment' : 'fa-comment-slash', isMuted ? 'Unmute' : 'Mute (stop this user from drawing)',
+          () => this.muteUser(user, !isMuted)),
+        this.createUserActionButton('fa-eraser', 'Clear this user\'s drawings', () => this.clearUserStrokes(user)),
+        this.createUserActionButton('fa-user-slash', 'Remove from the room', () => this.kickUser(user), 'danger')
+      );
+      userEl.appendChild(actions);
+    }
     return userEl;
   }
   
+  createUserActionButton(icon, title, onClick, variant = '') {
+    const button = document.createElement('button');
+    button.className = `user-role-btn ${variant}`.trim();
+    button.title = title;
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  muteUser(user, muted) {
+    this.wsClient.muteUser(user.userId, muted, (result) => {
+      if (!result || !result.ok) {
+        this.showNotification((result && result.error) || 'Could not mute the user', 'error');
+      } else if (result.guestsClosed) {
+        this.showNotification(GUESTS_CLOSED_MESSAGE, 'info');
+      }
+    });
+  }
+  
+  kickUser(user) {
+    if (!confirm(`Remove ${user.username} from the room? They can't come back for 10 minutes.`)) return;
+    
+    this.wsClient.kickUser(user.userId, (result) => {
+      if (result && result.ok) {
+        this.showNotification(`${user.username} was removed from the room`, 'success');
+        if (result.guestsClosed) this.showNotification(GUESTS_CLOSED_MESSAGE, 'info');
+      } else {
+        this.showNotification((result && result.error) || 'Could not remove the user', 'error');
+      }
+    });
+  }
+  
+  // Cleared for everyone, including the user; it can't be undone
+  clearUserStrokes(user) {
+    if (!confirm(`Delete everything ${user.username} has drawn?`)) return;
+    
+    this.canvasManager.clearRemoteCanvas(user.userId);
+    this.sendOperation((op, ack) => this.wsClient.clearUserStrokes(op, ack), { userId: user.userId });
+  }
+  
+  toggleBoardLock() {
+    const { locked } = this.canvasManager.roomSettings;
+    const duration = parseInt(this.lockDuration.value, 10);
+    this.wsClient.lockBoard(!locked, duration, (result) => {
+      if (!result || !result.ok) {
+        this.showNotification((result && result.error) || 'Could not lock the board', 'error');
+      }
+    });
+  }
+  
+  setUserRole(user, role) {
+    this.wsClient.setRole(user.userId, role, (result) => {
+      if (result && result.ok) {
+        this.showNotification(`${user.username} is now ${role === 'viewer' ? 'a viewer' : 'an editor'}`, 'success');
+      } else {
+        this.showNotification((result && result.error) || 'Could not change the role', 'error');
+      }
+    });
+  }
+  
   // Throttle cursor position updates to reduce network traffic
   setupCursorTracking() {
     let lastSent = 0;
@@ -528,12 +1563,8 @@ class CollaborativeCanvasApp {
       const now = Date.now();
       if (now - lastSent < throttleMs) return;
       
-      const rect = this.canvas.getBoundingClientRect();
-      // Send normalized coordinates (0-1 range) for resolution-independent positioning
-      const pos = {
-        x: (e.clientX - rect.left) / rect.width,
-        y: (e.clientY - rect.top) / rect.height
-      };
+      // Send document coordinates so cursors line up with strokes on every screen size
+      const pos = this.canvasManager.getPointerPos(e);
       
       this.wsClient.sendCursorPosition(pos);
       lastSent = now;
@@ -549,9 +1580,12 @@ class CollaborativeCanvasApp {
       // Remove cursor
       const cursor = document.getElementById(`cursor-${userId}`);
       if (cursor) cursor.remove();
+      this.remoteCursorPositions.delete(userId);
       return;
     }
     
+    this.remoteCursorPositions.set(userId, pos);
+    
     let cursor = document.getElementById(`cursor-${userId}`);
     
     if (!cursor) {
@@ -562,17 +1596,29 @@ class CollaborativeCanvasApp {
         <svg width="24" height="24" viewBox="0 0 24 24" fill="${color}">
           <path d="M7 2L18 13L13 14L10 19L7 2Z" stroke="${color}" stroke-width="1"/>
         </svg>
-        <div class="remote-cursor-label" style="background: ${color}">${username}</div>
+        <div class="remote-cursor-label" style="background: ${color}"></div>
       `;
+      cursor.querySelector('.remote-cursor-label').textContent = username;
       this.remoteCursorsContainer.appendChild(cursor);
     }
     
-    const rect = this.canvas.getBoundingClientRect();
-    cursor.style.left = (pos.x * rect.width) + 'px';
-    cursor.style.top = (pos.y * rect.height) + 'px';
+    const screenPos = this.canvasManager.documentToScreen(pos);
+    cursor.style.left = screenPos.x + 'px';
+    cursor.style.top = screenPos.y + 'px';
     cursor.style.display = 'block';
   }
   
+  repositionRemoteCursors() {
+    for (const [userId, pos] of this.remoteCursorPositions) {
+      const cursor = document.getElementById(`cursor-${userId}`);
+      if (!cursor) continue;
+      
+      const screenPos = this.canvasManager.documentToScreen(pos);
+      cursor.style.left = screenPos.x + 'px';
+      cursor.style.top = screenPos.y + 'px';
+    }
+  }
+  
   // Start monitoring conflict resolution metrics
   startConflictMonitoring() {
     setInterval(() => {
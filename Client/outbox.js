@@ -0,0 +1,144 @@
+// Operations waiting for the server to sequence them, oldest first. Every operation goes
+// through here: it stays until the server acknowledges it, so anything sent just before the
+// connection dropped, or drawn while offline, is sent (again) after reconnecting. The queue is
+// mirrored to IndexedDB, so it also survives closing the page.
+const DB_NAME = 'collaborative-canvas';
+const STORE_NAME = 'outbox';
+
+// Operations left behind in other rooms or by other identities are only sent when that room is
+// opened again as the same user. Guest identities never come back, so after this long (in ms)
+// such leftovers are dropped.
+const MAX_LEFTOVER_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'opId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function generateOpId() {
+  return 'op_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+}
+
+export class Outbox {
+  constructor() {
+    // { opId, scope, order, event, payload } in the order they were queued
+    this.entries = [];
+    this.scope = null;
+    this.lastOrder = 0;
+    
+    // IndexedDB writes are collected and committed together, one transaction per tick
+    this.db = null;
+    this.pendingWrites = [];
+    this.writeScheduled = false;
+    
+    this.onChange = null;
+  }
+  
+  // Load what is left over from earlier visits to the same room as the same user, and drop old
+  // leftovers of other rooms and users. Resolves with the number of restored operations; without
+  // IndexedDB the queue only lives in memory.
+  async open(scope) {
+    this.scope = scope;
+    if (typeof indexedDB === 'undefined') return 0;
+    
+    try {
+      this.db = await openDatabase();
+      const stored = await new Promise((resolve, reject) => {
+        const request = this.db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      
+      // Orders are timestamps in microseconds
+      const oldest = (Date.now() - MAX_LEFTOVER_AGE) * 1000;
+      for (const entry of stored) {
+        if (entry.scope !== scope && entry.order < oldest) this.write('delete', entry.opId);
+      }
+      
+      const restored = stored
+        .filter(entry => entry.scope === scope)
+        .sort((a, b) => a.order - b.order);
+      this.entries = [...restored, ...this.entries];
+      this.lastOrder = Math.max(this.lastOrder, ...restored.map(entry => entry.order));
+      
+      // Operations queued before the database was open are written now
+      for (const entry of this.entries.slice(restored.length)) this.write('put', entry);
+      this.changed();
+      return restored.length;
+    } catch (error) {
+      console.warn('Outbox is not persisted:', error);
+      this.db = null;
+      return 0;
+    }
+  }
+  
+  add(event, payload) {
+    // Orders follow the clock so operations from later visits sort after earlier ones
+    this.lastOrder = Math.max(this.lastOrder + 1, Date.now() * 1000);
+    const entry = { opId: payload.opId, scope: this.scope, order: this.lastOrder, event, payload };
+    this.entries.push(entry);
+    this.write('put', entry);
+    this.changed();
+    return entry;
+  }
+  
+  // Returns false if the operation was no longer queued
+  remove(opId) {
+    const index = this.entries.findIndex(entry => entry.opId === opId);
+    if (index === -1) return false;
+    
+    this.entries.splice(index, 1);
+    this.write('delete', opId);
+    this.changed();
+    return true;
+  }
+  
+  get size() {
+    return this.entries.length;
+  }
+  
+  // Strokes that have drawing operations still waiting to be sent
+  getStrokeIds() {
+    const strokeIds = new Set();
+    for (const entry of this.entries) {
+      if (entry.event === 'drawing') strokeIds.add(entry.payload.strokeId);
+    }
+    return strokeIds;
+  }
+  
+  changed() {
+    if (this.onChange) this.onChange(this.entries.length);
+  }
+  
+  write(type, value) {
+    if (!this.db) return;
+    
+    this.pendingWrites.push([type, value]);
+    if (this.writeScheduled) return;
+    
+    this.writeScheduled = true;
+    setTimeout(() => this.commitWrites(), 0);
+  }
+  
+  commitWrites() {
+    this.writeScheduled = false;
+    const writes = this.pendingWrites;
+    this.pendingWrites = [];
+    
+    try {
+      const store = this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      for (const [type, value] of writes) {
+        if (type === 'put') store.put(value);
+        else store.delete(value);
+      }
+    } catch (error) {
+      console.warn('Failed to persist the outbox:', error);
+    }
+  }
+}
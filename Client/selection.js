@@ -0,0 +1,281 @@
+import { isTextStroke, getTextBounds } from './text.js';
+import { getMaxLineWidth } from './freehand.js';
+import { isFillStroke, fillContains } from './fill.js';
+import { isImageStroke } from './images.js';
+
+// Strokes can carry an affine transform [a, b, c, d, e, f] (the argument order of
+// CanvasRenderingContext2D.transform) that is applied when they are rendered.
+// Moving, scaling and rotating a selection only ever replaces these transforms.
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Handle sizes in screen pixels, so they stay usable at every zoom level
+const HANDLE_SIZE = 8;
+const ROTATE_HANDLE_OFFSET = 24;
+
+// Ellipses are hit-tested and lasso-tested as polygons with this many corners
+const ELLIPSE_SEGMENTS = 32;
+
+// Combine two transforms: the result applies n first, then m
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+export function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+export function applyMatrix(m, p) {
+  return {
+    x: m[0] * p.x + m[2] * p.y + m[4],
+    y: m[1] * p.x + m[3] * p.y + m[5]
+  };
+}
+
+export function translation(dx, dy) {
+  return [1, 0, 0, 1, dx, dy];
+}
+
+// Scale around an origin point
+export function scaling(sx, sy, origin) {
+  return [sx, 0, 0, sy, origin.x - sx * origin.x, origin.y - sy * origin.y];
+}
+
+// Rotate around an origin point
+export function rotation(angle, origin) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [
+    cos,
+    sin,
+    -sin,
+    cos,
+    origin.x - cos * origin.x + sin * origin.y,
+    origin.y - sin * origin.x - cos * origin.y
+  ];
+}
+
+export function isIdentity(m) {
+  return m.every((value, i) => Math.abs(value - IDENTITY[i]) < 1e-9);
+}
+
+function boxCorners(box) {
+  return [
+    { x: box.minX, y: box.minY },
+    { x: box.maxX, y: box.minY },
+    { x: box.maxX, y: box.maxY },
+    { x: box.minX, y: box.maxY }
+  ];
+}
+
+// Untransformed outline of a stroke: a polyline, or a polygon for closed shapes, text, fills and images
+function getLocalOutline(ctx, stroke) {
+  if (isTextStroke(stroke)) {
+    return { points: boxCorners(getTextBounds(ctx, stroke)), closed: true, filled: true };
+  }
+  
+  const [start, end] = stroke.points;
+  if (stroke.mode === 'rectangle' || isFillStroke(stroke) || isImageStroke(stroke)) {
+    const box = {
+      minX: Math.min(start.x, end.x),
+      minY: Math.min(start.y, end.y),
+      maxX: Math.max(start.x, end.x),
+      maxY: Math.max(start.y, end.y)
+    };
+    return { points: boxCorners(box), closed: true, filled: !!stroke.fill || isFillStroke(stroke) || isImageStroke(stroke) };
+  }
+  
+  if (stroke.mode === 'ellipse') {
+    const cx = (start.x + end.x) / 2;
+    const cy = (start.y + end.y) / 2;
+    const rx = Math.abs(end.x - start.x) / 2;
+    const ry = Math.abs(end.y - start.y) / 2;
+    const points = [];
+    for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+      const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+      points.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+    }
+    return { points, closed: true, filled: !!stroke.fill };
+  }
+  
+  return { points: stroke.points, closed: false, filled: false };
+}
+
+// Outline in document coordinates; pad is half the widest rendered line
+export function getStrokeOutline(ctx, stroke) {
+  const outline = getLocalOutline(ctx, stroke);
+  const transform = stroke.transform || IDENTITY;
+  const lineScale = Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2]));
+  
+  return {
+    points: outline.points.map(point => applyMatrix(transform, point)),
+    closed: outline.closed,
+    filled: outline.filled,
+    pad: isTextStroke(stroke) || isFillStroke(stroke) || isImageStroke(stroke) ? 0 : (getMaxLineWidth(stroke) / 2) * lineScale
+  };
+}
+
+// Axis-aligned document-space box around everything a stroke paints
+export function getStrokeBounds(ctx, stroke) {
+  const { points, pad } = getStrokeOutline(ctx, stroke);
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  
+  return {
+    minX: Math.min(...xs) - pad,
+    minY: Math.min(...ys) - pad,
+    maxX: Math.max(...xs) + pad,
+    maxY: Math.max(...ys) + pad
+  };
+}
+
+export function unionBounds(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY)
+  };
+}
+
+export function pointInPolygon(pos, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > pos.y) !== (b.y > pos.y) &&
+        pos.x < ((b.x - a.x) * (pos.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToSegment(pos, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((pos.x - a.x) * dx + (pos.y - a.y) * dy) / lengthSq));
+  return Math.hypot(pos.x - (a.x + t * dx), pos.y - (a.y + t * dy));
+}
+
+// Whether a document position touches the painted part of a stroke, within tolerance document units
+export function hitTestStroke(ctx, stroke, pos, tolerance) {
+  // Fills are hit on their filled cells only, not across their whole box
+  if (isFillStroke(stroke)) return fillContains(stroke, applyMatrix(invert(stroke.transform || IDENTITY), pos));
+  
+  const { points, closed, filled, pad } = getStrokeOutline(ctx, stroke);
+  if (points.length === 0) return false;
+  if (filled && pointInPolygon(pos, points)) return true;
+  
+  const limit = pad + tolerance;
+  if (points.length === 1) {
+    return Math.hypot(pos.x - points[0].x, pos.y - points[0].y) <= limit;
+  }
+  
+  const segments = closed ? points.length : points.length - 1;
+  for (let i = 0; i < segments; i++) {
+    if (distanceToSegment(pos, points[i], points[(i + 1) % points.length]) <= limit) return true;
+  }
+  return false;
+}
+
+// A lasso picks a stroke when any point of its outline lies inside it
+export function strokeInLasso(ctx, stroke, lasso) {
+  return getStrokeOutline(ctx, stroke).points.some(point => pointInPolygon(point, lasso));
+}
+
+// Corner handles scale, the handle above the box rotates
+export function getSelectionHandles(box, scale) {
+  return {
+    nw: { x: box.minX, y: box.minY },
+    ne: { x: box.maxX, y: box.minY },
+    se: { x: box.maxX, y: box.maxY },
+    sw: { x: box.minX, y: box.maxY },
+    rotate: { x: (box.minX + box.maxX) / 2, y: box.minY - ROTATE_HANDLE_OFFSET / scale }
+  };
+}
+
+export function getHandleAt(box, pos, scale) {
+  const radius = HANDLE_SIZE / scale;
+  const handles = getSelectionHandles(box, scale);
+  
+  for (const name of Object.keys(handles)) {
+    const handle = handles[name];
+    if (Math.abs(pos.x - handle.x) <= radius && Math.abs(pos.y - handle.y) <= radius) return name;
+  }
+  return null;
+}
+
+// Handle opposite to a corner, used as the fixed point while scaling
+export function getOppositeHandle(handle) {
+  return { nw: 'se', ne: 'sw', se: 'nw', sw: 'ne' }[handle];
+}
+
+// Draw the selection box and its handles; ctx must already draw in document coordinates
+export function drawSelection(ctx, box, scale) {
+  const handles = getSelectionHandles(box, scale);
+  const size = HANDLE_SIZE / scale;
+  
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.lineWidth = 1 / scale;
+  ctx.strokeStyle = '#6366f1';
+  ctx.fillStyle = '#ffffff';
+  
+  ctx.setLineDash([4 / scale, 4 / scale]);
+  ctx.strokeRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+  ctx.setLineDash([]);
+  
+  ctx.beginPath();
+  ctx.moveTo(handles.rotate.x, box.minY);
+  ctx.lineTo(handles.rotate.x, handles.rotate.y);
+  ctx.stroke();
+  
+  for (const name of Object.keys(handles)) {
+    const handle = handles[name];
+    ctx.beginPath();
+    if (name === 'rotate') {
+      ctx.arc(handle.x, handle.y, size / 2, 0, Math.PI * 2);
+    } else {
+      ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+    }
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+export function drawLasso(ctx, points, scale) {
+  if (points.length < 2) return;
+  
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.lineWidth = 1 / scale;
+  ctx.strokeStyle = '#6366f1';
+  ctx.fillStyle = 'rgba(99, 102, 241, 0.08)';
+  ctx.setLineDash([4 / scale, 4 / scale]);
+  
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
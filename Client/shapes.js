@@ -0,0 +1,97 @@
+// Shape tools: each shape is stored like a stroke whose points are the drag start and end
+export const SHAPE_TOOLS = ['line', 'arrow', 'rectangle', 'ellipse'];
+
+// Shapes whose interior can be filled
+const FILLABLE_SHAPES = ['rectangle', 'ellipse'];
+
+// Shift snaps lines and arrows to multiples of this angle
+const ANGLE_STEP = Math.PI / 4;
+
+export function isShapeTool(mode) {
+  return SHAPE_TOOLS.includes(mode);
+}
+
+// Apply the Shift constraint: 45° angles for lines and arrows, squares and circles otherwise
+export function constrainShapeEnd(mode, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  
+  if (mode === 'line' || mode === 'arrow') {
+    const length = Math.hypot(dx, dy);
+    const angle = Math.round(Math.atan2(dy, dx) / ANGLE_STEP) * ANGLE_STEP;
+    return {
+      x: start.x + Math.cos(angle) * length,
+      y: start.y + Math.sin(angle) * length
+    };
+  }
+  
+  const size = Math.max(Math.abs(dx), Math.abs(dy));
+  return {
+    x: start.x + (dx < 0 ? -size : size),
+    y: start.y + (dy < 0 ? -size : size)
+  };
+}
+
+// A click without dragging should not leave an invisible shape behind
+export function isDegenerateShape(shape) {
+  const [start, end] = shape.points;
+  return Math.abs(end.x - start.x) < 1 && Math.abs(end.y - start.y) < 1;
+}
+
+export function drawShape(ctx, shape) {
+  const [start, end] = shape.points;
+  
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = shape.width;
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.globalCompositeOperation = 'source-over';
+  
+  ctx.beginPath();
+  if (shape.mode === 'rectangle') {
+    ctx.rect(
+      Math.min(start.x, end.x),
+      Math.min(start.y, end.y),
+      Math.abs(end.x - start.x),
+      Math.abs(end.y - start.y)
+    );
+  } else if (shape.mode === 'ellipse') {
+    ctx.ellipse(
+      (start.x + end.x) / 2,
+      (start.y + end.y) / 2,
+      Math.abs(end.x - start.x) / 2,
+      Math.abs(end.y - start.y) / 2,
+      0,
+      0,
+      Math.PI * 2
+    );
+  } else {
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+  }
+  
+  if (shape.fill && FILLABLE_SHAPES.includes(shape.mode)) {
+    ctx.fill();
+  }
+  ctx.stroke();
+  
+  if (shape.mode === 'arrow') {
+    drawArrowHead(ctx, start, end, shape.width);
+  }
+}
+
+// Filled triangular head at the end point, scaled with the line width
+function drawArrowHead(ctx, start, end, width) {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const length = Math.max(10, width * 3);
+  const spread = Math.PI / 7;
+  
+  ctx.beginPath();
+  ctx.moveTo(end.x, end.y);
+  ctx.lineTo(end.x - length * Math.cos(angle - spread), end.y - length * Math.sin(angle - spread));
+  ctx.lineTo(end.x - length * Math.cos(angle + spread), end.y - length * Math.sin(angle + spread));
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+}
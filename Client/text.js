@@ -0,0 +1,73 @@
+// Text boxes: stored like a stroke whose single point is the anchor of the first line.
+// The anchor is the left edge, center or right edge of the box depending on the alignment.
+export const TEXT_FONT_FAMILY = "'Inter', 'Segoe UI', -apple-system, BlinkMacSystemFont, 'Roboto', sans-serif";
+export const TEXT_LINE_HEIGHT = 1.25;
+
+// Fraction of the box width that lies left of the anchor
+const ALIGN_OFFSET = { left: 0, center: 0.5, right: 1 };
+
+export function isTextStroke(stroke) {
+  return stroke.mode === 'text';
+}
+
+export function getAlignOffset(align) {
+  return ALIGN_OFFSET[align] || 0;
+}
+
+export function getTextFont(fontSize) {
+  return `${fontSize}px ${TEXT_FONT_FAMILY}`;
+}
+
+// Editable properties of a text object, used for edit history
+export function getTextProps(stroke) {
+  return {
+    text: stroke.text,
+    color: stroke.color,
+    fontSize: stroke.fontSize,
+    align: stroke.align
+  };
+}
+
+export function sameTextProps(a, b) {
+  return a.text === b.text && a.color === b.color && a.fontSize === b.fontSize && a.align === b.align;
+}
+
+function layoutText(ctx, stroke) {
+  ctx.font = getTextFont(stroke.fontSize);
+  const lines = (stroke.text || '').split('\n');
+  const width = Math.max(0, ...lines.map(line => ctx.measureText(line).width));
+  return { lines, width, lineHeight: stroke.fontSize * TEXT_LINE_HEIGHT };
+}
+
+// Document-space box of a text object; minWidth keeps an empty box clickable while editing
+export function getTextBounds(ctx, stroke, minWidth = 0) {
+  const [anchor] = stroke.points;
+  const { lines, width, lineHeight } = layoutText(ctx, stroke);
+  const boxWidth = Math.max(width, minWidth);
+  const minX = anchor.x - boxWidth * getAlignOffset(stroke.align);
+  
+  return {
+    minX,
+    minY: anchor.y,
+    maxX: minX + boxWidth,
+    maxY: anchor.y + lines.length * lineHeight
+  };
+}
+
+export function drawText(ctx, stroke) {
+  if (!stroke.text) return;
+  
+  const [anchor] = stroke.points;
+  const { lines, lineHeight } = layoutText(ctx, stroke);
+  
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.fillStyle = stroke.color;
+  ctx.textAlign = stroke.align in ALIGN_OFFSET ? stroke.align : 'left';
+  ctx.textBaseline = 'top';
+  
+  // Half-leading on top of each line matches how the text box lays out its lines
+  const leading = (lineHeight - stroke.fontSize) / 2;
+  lines.forEach((line, i) => {
+    ctx.fillText(line, anchor.x, anchor.y + i * lineHeight + leading);
+  });
+}
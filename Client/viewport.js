@@ -0,0 +1,67 @@
+// Zoom limits for the infinite canvas, in CSS pixels per document unit
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 20;
+
+// View transform of the infinite canvas: maps world (document) coordinates to CSS pixels
+// relative to the canvas element. screen = world * scale + offset
+export class Viewport {
+  constructor() {
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.width = 0;
+    this.height = 0;
+  }
+  
+  // Show the given world rectangle centered and as large as possible
+  fit(x, y, width, height) {
+    this.scale = clamp(Math.min(this.width / width, this.height / height) || 1);
+    this.offsetX = (this.width - width * this.scale) / 2 - x * this.scale;
+    this.offsetY = (this.height - height * this.scale) / 2 - y * this.scale;
+  }
+  
+  // Keep the world point at the center of the viewport in place when the element changes size
+  resize(width, height) {
+    const center = this.screenToWorld(this.width / 2, this.height / 2);
+    this.width = width;
+    this.height = height;
+    this.offsetX = width / 2 - center.x * this.scale;
+    this.offsetY = height / 2 - center.y * this.scale;
+  }
+  
+  // Zoom by a factor while keeping the world point under (x, y) fixed on screen
+  zoomAt(x, y, factor) {
+    const anchor = this.screenToWorld(x, y);
+    this.scale = clamp(this.scale * factor);
+    this.offsetX = x - anchor.x * this.scale;
+    this.offsetY = y - anchor.y * this.scale;
+  }
+  
+  panBy(dx, dy) {
+    this.offsetX += dx;
+    this.offsetY += dy;
+  }
+  
+  worldToScreen(pos) {
+    return {
+      x: pos.x * this.scale + this.offsetX,
+      y: pos.y * this.scale + this.offsetY
+    };
+  }
+  
+  screenToWorld(x, y) {
+    return {
+      x: (x - this.offsetX) / this.scale,
+      y: (y - this.offsetY) / this.scale
+    };
+  }
+  
+  // Set a 2D context to draw in world coordinates on a backing store scaled by dpr
+  applyTo(ctx, dpr) {
+    ctx.setTransform(dpr * this.scale, 0, 0, dpr * this.scale, dpr * this.offsetX, dpr * this.offsetY);
+  }
+}
+
+function clamp(scale) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+}
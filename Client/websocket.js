@@ -1,13 +1,45 @@
+import { Outbox, generateOpId } from './outbox.js';
+import { BINARY_CODEC, BINARY_EVENT, encodeMessage, decodeMessage } from './codec.js';
+
+// Queued operations sent before their acks come back; more wait in the outbox. Kept small so a
+// flushed backlog does not run into the server's rate limits (a refused one is resent later)
+const MAX_IN_FLIGHT = 32;
+
+// How long to hold the outbox when the server says we are sending too fast
+const RATE_LIMIT_BACKOFF = 1000;
+
 export class WebSocketClient {
   constructor(serverUrl = 'http://localhost:3000') {
     this.serverUrl = serverUrl;
     this.socket = null;
     this.connected = false;
+    
+    // Whether the server agreed to the binary codec for hot-path events on this connection
+    this.binary = false;
     this.roomId = null;
     this.userId = null;
     this.username = null;
     this.userColor = null;
     
+    // Credentials for private rooms, sent with every join so reconnects get back in
+    this.password = null;
+    this.invite = null;
+    
+    // Outbound operations. They are only sent once the room is synced after a (re)join, so
+    // the server applies them after everything we have seen; ack handlers live in memory only.
+    this.outbox = new Outbox();
+    this.outbox.onChange = () => this.queueChanged();
+    this.ackHandlers = new Map();
+    this.inFlight = new Set();
+    
+    // opIds of operations made on this page and not acknowledged yet. They are applied here
+    // already, so a catch-up that has them (their acks were lost) must not apply them again.
+    this.ownOpIds = new Set();
+    
+    this.synced = false;
+    this.sendPaused = false;
+    this.resyncAfterFlush = false;
+    
     this.onConnect = null;
     this.onDisconnect = null;
     this.onDrawing = null;
@@ -18,24 +50,51 @@ export class WebSocketClient {
     this.onCursorMove = null;
     this.onUsersUpdate = null;
     this.onUsernameAssigned = null;
+    this.onUserUpdated = null;
     this.onClearCanvas = null;
     this.onUndo = null;
     this.onRedo = null;
+    this.onRemoveStrokes = null;
+    this.onTransformStrokes = null;
+    this.onEraseStrokes = null;
+    this.onRoomSettings = null;
+    this.onLayers = null;
+    this.onKicked = null;
+    this.onCatchUp = null;
+    this.onQueueChange = null;
+    
+    // Returns the sequence number of the last room operation applied here (null before the
+    // first sync); sent when rejoining so the server only replays what was missed
+    this.getLastSeq = null;
   }
   
   // Establish connection with fallback to polling if WebSocket fails
   connect(roomId = 'default', userInfo = {}) {
     this.roomId = roomId;
-    this.userId = userInfo.userId || Math.random().toString(36).substring(7);
-    this.username = userInfo.username || 'Anonymous';
+    this.userId = userInfo.userId || null;
+    this.username = userInfo.username || null;
     this.userColor = userInfo.color || '#6366f1';
+    this.password = userInfo.password || null;
+    this.invite = userInfo.invite || null;
+    
+    // Operations left from an earlier visit were never drawn on this page; once they are all
+    // through, reload the canvas from the server to show them
+    this.outbox.open(`${this.roomId}:${this.userId}`).then((restored) => {
+      if (restored > 0) {
+        console.log(`Restored ${restored} unsent operations`);
+        this.resyncAfterFlush = true;
+        this.flush();
+      }
+    });
     
     try {
       if (typeof io !== 'undefined') {
         this.socket = io(this.serverUrl, {
+          auth: { token: userInfo.token, codec: BINARY_CODEC },
           transports: ['websocket', 'polling'],
+          // Queued operations wait for the connection however long an outage lasts
           reconnection: true,
-          reconnectionAttempts: 5,
+          reconnectionAttempts: Infinity,
           reconnectionDelay: 1000
         });
         
@@ -55,43 +114,62 @@ export class WebSocketClient {
       console.log('Connected to server');
       this.connected = true;
       
-      this.socket.emit('join-room', { 
-        roomId: this.roomId, 
-        userId: this.userId,
-        username: this.username,
-        color: this.userColor
-      });
+      this.joinRoom();
       
       if (this.onConnect) this.onConnect();
     });
     
+    // The server refuses the handshake when the session token is missing, forged or expired
+    this.socket.on('connect_error', (error) => {
+      if (error.message !== 'unauthorized') return;
+      
+      console.warn('Session rejected by the server');
+      this.socket.disconnect();
+      if (this.onError) this.onError({ type: 'auth-error', message: 'Your session has expired' });
+    });
+    
     this.socket.on('disconnect', () => {
       console.log('Disconnected from server');
       this.connected = false;
+      this.binary = false;
+      
+      // Whatever was in flight is sent again after the rejoin; the server skips duplicates
+      this.synced = false;
+      this.inFlight.clear();
+      this.queueChanged();
       
       if (this.onDisconnect) this.onDisconnect();
     });
     
-    // Ignore drawing events from self to prevent double-drawing
-    this.socket.on('drawing', (data) => {
-      console.log('Received drawing event from server:', {
-        type: data.type,
-        userId: data.userId,
-        myUserId: this.userId,
-        strokeId: data.strokeId,
-        shouldProcess: data.userId !== this.userId
-      });
-      
-      if (data.userId !== this.userId && this.onDrawing) {
-        this.onDrawing(data);
-      } else if (data.userId === this.userId) {
-        console.log('Skipping own drawing event');
+    // Sent right after connecting; servers without the binary codec never send it
+    this.socket.on('wire-codec', ({ codec }) => {
+      this.binary = codec === BINARY_CODEC;
+      console.log(`Using ${this.binary ? 'binary' : 'JSON'} messages for drawing and cursors`);
+    });
+    
+    // Binary packets carry the same events as their JSON form
+    this.socket.on(BINARY_EVENT, (packet) => {
+      let message;
+      try {
+        message = decodeMessage(packet);
+      } catch (error) {
+        console.warn('Dropped malformed binary message:', error.message);
+        return;
       }
+      
+      if (message.event === 'drawing') this.handleDrawing(message.data);
+      else if (message.event === 'cursor-move') this.handleCursorMove(message.data);
     });
     
+    // The server relays operations to everyone in the room but the socket that sent them, so
+    // what arrives here is never this page's own. It may come from another tab or device of the
+    // same account, which shares our userId, and is applied like anyone else's.
+    this.socket.on('drawing', (data) => this.handleDrawing(data));
+    
     this.socket.on('canvas-state', (data) => {
       console.log('Received canvas state');
       if (this.onCanvasState) this.onCanvasState(data);
+      this.markSynced();
     });
     
     this.socket.on('user-joined', (data) => {
@@ -104,11 +182,7 @@ export class WebSocketClient {
       if (this.onUserLeave) this.onUserLeave(data);
     });
     
-    this.socket.on('cursor-move', (data) => {
-      if (data.userId !== this.userId && this.onCursorMove) {
-        this.onCursorMove(data);
-      }
-    });
+    this.socket.on('cursor-move', (data) => this.handleCursorMove(data));
     
     this.socket.on('users-update', (data) => {
       if (this.onUsersUpdate) this.onUsersUpdate(data.users);
@@ -117,7 +191,12 @@ export class WebSocketClient {
     this.socket.on('username-assigned', (data) => {
       console.log('Username assigned:', data.username);
       this.username = data.username;
-      if (this.onUsernameAssigned) this.onUsernameAssigned(data.username);
+      this.userColor = data.color;
+      if (this.onUsernameAssigned) this.onUsernameAssigned(data.username, data.color);
+    });
+    
+    this.socket.on('user-updated', (data) => {
+      if (this.onUserUpdated) this.onUserUpdated(data);
     });
     
     this.socket.on('clear-canvas', (data) => {
@@ -127,16 +206,58 @@ export class WebSocketClient {
     
     this.socket.on('undo', (data) => {
       console.log('Undo event from:', data.userId);
-      if (data.userId !== this.userId && this.onUndo) {
-        this.onUndo(data);
-      }
+      if (this.onUndo) this.onUndo(data);
     });
     
     this.socket.on('redo', (data) => {
       console.log('Redo event from:', data.userId);
-      if (data.userId !== this.userId && this.onRedo) {
-        this.onRedo(data);
-      }
+      if (this.onRedo) this.onRedo(data);
+    });
+    
+    this.socket.on('remove-strokes', (data) => {
+      if (this.onRemoveStrokes) this.onRemoveStrokes(data);
+    });
+    
+    this.socket.on('transform-strokes', (data) => {
+      if (this.onTransformStrokes) this.onTransformStrokes(data);
+    });
+    
+    this.socket.on('erase-strokes', (data) => {
+      if (this.onEraseStrokes) this.onEraseStrokes(data);
+    });
+    
+    this.socket.on('room-settings', (data) => {
+      if (this.onRoomSettings) this.onRoomSettings(data);
+    });
+    
+    this.socket.on('layers', (data) => {
+      if (this.onLayers) this.onLayers(data);
+    });
+    
+    // A private room turned the join down; error.code says whether a password or invite is needed
+    this.socket.on('join-error', (error) => {
+      console.warn('Join rejected:', error.code);
+      if (this.onError) this.onError({ type: 'join-error', ...error });
+    });
+    
+    // The operations missed while disconnected, { operations: [{ event, data, opId }] } in order,
+    // instead of the full canvas state
+    this.socket.on('catch-up', (data) => {
+      console.log(`Catching up on ${data.operations.length} missed operations`);
+      if (this.onCatchUp) this.onCatchUp(data);
+      this.markSynced();
+    });
+    
+    // The room owner removed this user; the server disconnects right after
+    this.socket.on('kicked', (data) => {
+      console.warn('Removed from room:', data.roomId);
+      if (this.onKicked) this.onKicked(data);
+    });
+    
+    // The server refused one of our events: { event, code, message, field }
+    this.socket.on('request-error', (error) => {
+      console.warn('Request rejected:', error.event, error.code);
+      if (this.onError) this.onError({ type: 'request-error', ...error });
     });
     
     this.socket.on('error', (error) => {
@@ -145,20 +266,144 @@ export class WebSocketClient {
     });
   }
   
-  sendDrawing(drawData) {
-    if (!this.connected || !this.socket) return;
+  joinRoom() {
+    if (!this.socket) return;
     
-    this.socket.emit('drawing', {
+    this.socket.emit('join-room', {
+      roomId: this.roomId,
+      username: this.username,
+      color: this.userColor,
+      password: this.password,
+      invite: this.invite,
+      since: this.getLastSeq ? this.getLastSeq() : null
+    });
+  }
+  
+  // Try joining again with a password after the room asked for one
+  setRoomPassword(password) {
+    this.password = password;
+    if (this.connected) this.joinRoom();
+  }
+  
+  handleDrawing(data) {
+    console.log('Received drawing event from server:', {
+      type: data.type,
+      userId: data.userId,
+      strokeId: data.strokeId
+    });
+    
+    if (this.onDrawing) this.onDrawing(data);
+  }
+  
+  // Whether an operation in a catch-up is one this page made, and so applied already. Other
+  // tabs and devices of the same account share our userId, their operations are not ours.
+  isOwnOperation(opId) {
+    return !!opId && this.ownOpIds.has(opId);
+  }
+  
+  handleCursorMove(data) {
+    if (data.userId !== this.userId && this.onCursorMove) {
+      this.onCursorMove(data);
+    }
+  }
+  
+  // Drawing and cursor events go out binary when the server agreed to it, everything else as
+  // JSON. The binary form leaves out roomId and userId, the server knows both from the connection.
+  emitEvent(event, payload, ack) {
+    let args = [event, payload];
+    if (this.binary) {
+      const { roomId, userId, ...data } = payload;
+      const packet = encodeMessage(event, data);
+      if (packet) args = [BINARY_EVENT, packet];
+    }
+    if (ack) args.push(ack);
+    this.socket.emit(...args);
+  }
+  
+  // Queue an operation the server sequences; onAck receives { seq } once it has a place in the
+  // room order. Offline operations wait in the outbox, so this always returns true.
+  emitOperation(event, payload, onAck) {
+    const opId = generateOpId();
+    this.ownOpIds.add(opId);
+    this.outbox.add(event, { ...payload, opId });
+    if (onAck) this.ackHandlers.set(opId, onAck);
+    
+    this.flush();
+    return true;
+  }
+  
+  // The first canvas state or catch-up after joining: the outbox can go out now
+  markSynced() {
+    if (this.synced) return;
+    
+    this.synced = true;
+    this.queueChanged();
+    this.flush();
+  }
+  
+  queueChanged() {
+    if (this.onQueueChange) this.onQueueChange(this.outbox.size);
+  }
+  
+  // Send queued operations in order, keeping at most MAX_IN_FLIGHT unacknowledged
+  flush() {
+    if (!this.synced || this.sendPaused || !this.socket) return;
+    
+    for (const entry of this.outbox.entries) {
+      if (this.inFlight.size >= MAX_IN_FLIGHT) break;
+      if (this.inFlight.has(entry.opId)) continue;
+      
+      this.inFlight.add(entry.opId);
+      this.emitEvent(entry.event, entry.payload, (ack) => this.handleOperationAck(entry, ack));
+    }
+  }
+  
+  handleOperationAck(entry, ack) {
+    if (!this.inFlight.delete(entry.opId)) return;
+    
+    // Too fast: keep the operation and try again shortly
+    if (ack && ack.code === 'rate-limited') {
+      if (!this.sendPaused) {
+        this.sendPaused = true;
+        setTimeout(() => {
+          this.sendPaused = false;
+          this.flush();
+        }, RATE_LIMIT_BACKOFF);
+      }
+      return;
+    }
+    
+    this.ownOpIds.delete(entry.opId);
+    if (this.outbox.remove(entry.opId)) {
+      const onAck = this.ackHandlers.get(entry.opId);
+      this.ackHandlers.delete(entry.opId);
+      if (onAck) onAck(ack);
+    }
+    
+    if (this.resyncAfterFlush && this.outbox.size === 0) {
+      this.resyncAfterFlush = false;
+      this.requestCanvasState();
+    }
+    this.flush();
+  }
+  
+  // Strokes the server may not have all of yet, because some of their operations are queued
+  getQueuedStrokeIds() {
+    return this.outbox.getStrokeIds();
+  }
+  
+  sendDrawing(drawData, onAck) {
+    return this.emitOperation('drawing', {
       roomId: this.roomId,
       userId: this.userId,
       ...drawData
-    });
+    }, onAck);
   }
   
   sendCursorPosition(pos) {
     if (!this.connected || !this.socket) return;
     
-    this.socket.emit('cursor-move', {
+    this.emitEvent('cursor-move', {
       roomId: this.roomId,
       userId: this.userId,
       pos
@@ -184,32 +429,155 @@ export class WebSocketClient {
     });
   }
   
-  clearCanvas() {
+  clearCanvas(meta = {}, onAck) {
+    return this.emitOperation('clear-canvas', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...meta
+    }, onAck);
+  }
+  
+  // Undo/redo are sent as the list of strokes removed or restored, not as canvas images
+  sendUndo(change, onAck) {
+    return this.emitOperation('undo', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  sendRedo(change, onAck) {
+    return this.emitOperation('redo', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  sendRemoveStrokes(change, onAck) {
+    return this.emitOperation('remove-strokes', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  // Moves, scales and rotations are sent as the resulting absolute transform of each stroke
+  sendTransform(change, onAck) {
+    return this.emitOperation('transform-strokes', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  // Stroke eraser removals (and their undo); the ack lists the strokes the server accepted
+  sendEraseStrokes(change, onAck) {
+    return this.emitOperation('erase-strokes', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  // Layer changes; the ack carries the room's resulting layer stack
+  addLayer(change, onAck) {
+    return this.emitOperation('add-layer', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  updateLayer(change, onAck) {
+    return this.emitOperation('update-layer', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  removeLayer(change, onAck) {
+    return this.emitOperation('remove-layer', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  moveLayer(change, onAck) {
+    return this.emitOperation('move-layer', {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...change
+    }, onAck);
+  }
+  
+  // Owner only: who may join the room; onResult receives { ok, error }
+  updateRoomAccess(access, password, onResult) {
     if (!this.connected || !this.socket) return;
     
-    this.socket.emit('clear-canvas', {
-      roomId: this.roomId,
-      userId: this.userId
-    });
+    this.socket.emit('update-room-access', { access, password }, onResult);
+  }
+  
+  // Owner only: a signed invite token; onResult receives { ok, token, expiresAt } or { ok, error }
+  createInvite(expiresIn, onResult) {
+    if (!this.connected || !this.socket) return;
+    
+    this.socket.emit('create-invite', { expiresIn }, onResult);
+  }
+  
+  // Owner only: make another member an editor or a viewer
+  setRole(userId, role, onResult) {
+    if (!this.connected || !this.socket) return;
+    
+    this.socket.emit('set-role', { userId, role }, onResult);
   }
   
-  sendUndo(canvasData) {
+  // Owner only moderation; onResult receives { ok, error }
+  muteUser(userId, muted, onResult) {
     if (!this.connected || !this.socket) return;
     
-    this.socket.emit('undo', {
+    this.socket.emit('mute-user', { userId, muted }, onResult);
+  }
+  
+  kickUser(userId, onResult) {
+    if (!this.connected || !this.socket) return;
+    
+    this.socket.emit('kick-user', { userId }, onResult);
+  }
+  
+  // Lock the board for duration seconds, or unlock it; onResult also gets { lockedUntil }
+  lockBoard(locked, duration, onResult) {
+    if (!this.connected || !this.socket) return;
+    
+    this.socket.emit('lock-board', { locked, duration }, onResult);
+  }
+  
+  // Owner only: remove all strokes of another user, sequenced like a clear of their own
+  clearUserStrokes(change, onAck) {
+    return this.emitOperation('clear-user-strokes', {
       roomId: this.roomId,
-      userId: this.userId,
-      canvasData
-    });
+      ...change
+    }, onAck);
   }
   
-  sendRedo(canvasData) {
+  // Change the display name or color; they are also sent with the next join if offline.
+  // onResult receives { ok, username, color } with the name the server settled on.
+  updateProfile(profile, onResult) {
+    if (profile.username) this.username = profile.username;
+    if (profile.color) this.userColor = profile.color;
     if (!this.connected || !this.socket) return;
     
-    this.socket.emit('redo', {
+    this.socket.emit('update-profile', profile, onResult);
+  }
+  
+  updateRoomSettings(settings) {
+    if (!this.connected || !this.socket) return;
+    
+    this.socket.emit('update-room-settings', {
       roomId: this.roomId,
-      userId: this.userId,
-      canvasData
+      settings
     });
   }
   
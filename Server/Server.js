@@ -3,12 +3,32 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 
 const RoomManager = require('./rooms');
 const DrawingStateManager = require('./drawing-state');
+const { createStore } = require('./storage');
+const { ACCESS_MODES, JOIN_ERROR_MESSAGES, isValidPassword, hashPassword, createInviteToken, checkJoinAccess } = require('./access');
+const { MAX_PAYLOAD_BYTES, isRoomId, validatePayload } = require('./validation');
+const { readLimit } = require('./limits');
+const RateLimiter = require('./rate-limiter');
+const { MAX_IMAGE_BYTES, IMAGE_UPLOADS_PER_SECOND, IMAGE_TYPES, isImageId, detectImageType, getImageId } = require('./images');
+const { BINARY_CODEC, BINARY_EVENT, encodeMessage, decodeMessage } = require('../Shared/wire-codec');
+const {
+  MIN_PASSWORD_LENGTH,
+  createUserStore,
+  createSessionToken,
+  verifySessionToken,
+  createGuest,
+  isGuestId,
+  isValidUsername,
+  isValidAccountPassword,
+  toSessionUser
+} = require('./auth');
 
 const PORT = process.env.PORT || 3000;
 const CLIENT_PATH = path.join(__dirname, '../Client');
+const SHARED_PATH = path.join(__dirname, '../Shared');
 
 const app = express();
 const server = http.createServer(app);
@@ -17,18 +37,20 @@ const io = new Server(server, {
   cors: {
     origin: '*',
     methods: ['GET', 'POST']
-  }
+  },
+  // Larger messages close the connection; per-field caps in validation.js apply below this
+  maxHttpBufferSize: MAX_PAYLOAD_BYTES
 });
 
 const roomManager = new RoomManager();
-const drawingStateManager = new DrawingStateManager();
-
-// Track user number per room for automatic username assignment (User1, User2, etc.)
-const roomUserCounters = new Map();
+const store = createStore();
+const drawingStateManager = new DrawingStateManager(store);
+const userStore = createUserStore();
 
 app.use(cors());
 app.use(express.json());
 app.use(express.static(CLIENT_PATH));
+app.use('/shared', express.static(SHARED_PATH));
 
 app.get('/api/health', (req, res) => {
   res.json({
@@ -38,49 +60,389 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Sessions: every client gets a signed token before it connects, as an account or as a guest
+function sendSession(res, status, user) {
+  res.status(status).json({ ...createSessionToken(user), user: toSessionUser(user) });
+}
+
+// The user whose session token a request carries as a bearer token, or null
+function getSessionUser(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  return (match && verifySessionToken(match[1])) || null;
+}
+
+// Logging in and registering hash a password, which is slow on purpose, so both are limited
+// per client address; that also slows down guessing passwords
+const LOGIN_ATTEMPTS_PER_SECOND = readLimit('LOGIN_ATTEMPTS_PER_SECOND', 1);
+const loginLimiter = new RateLimiter({ default: LOGIN_ATTEMPTS_PER_SECOND });
+
+app.post('/api/auth/register', async (req, res) => {
+  const { username, password } = req.body || {};
+  
+  if (!loginLimiter.consume(req.ip)) {
+    return res.status(429).json({ error: 'Too many attempts, try again in a moment' });
+  }
+  if (!isValidUsername(username)) {
+    return res.status(400).json({ error: 'Usernames are 3-32 letters, digits, dots, dashes or underscores' });
+  }
+  if (!isValidAccountPassword(password)) {
+    return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  const user = await userStore.register(username, password);
+  if (!user) {
+    return res.status(409).json({ error: 'That username is taken' });
+  }
+  console.log(`Registered account ${username} (${user.userId})`);
+  sendSession(res, 201, user);
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!loginLimiter.consume(req.ip)) {
+    return res.status(429).json({ error: 'Too many attempts, try again in a moment' });
+  }
+  
+  const user = await userStore.authenticate(username, password);
+  if (!user) {
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  sendSession(res, 200, user);
+});
+
+app.post('/api/auth/guest', (req, res) => {
+  sendSession(res, 201, createGuest());
+});
+
+// Every room created is stored, so creating them is limited per client address
+const ROOM_CREATIONS_PER_SECOND = readLimit('ROOM_CREATIONS_PER_SECOND', 1);
+const roomCreationLimiter = new RateLimiter({ default: ROOM_CREATIONS_PER_SECOND });
+
+// Only public rooms are listed; private ones are reachable by their ID and a password or invite
 app.get('/api/rooms', (req, res) => {
-  const rooms = roomManager.getRoomStats();
+  const rooms = roomManager.getRoomStats().filter(room => !drawingStateManager.isPrivate(room.roomId));
   res.json({ rooms });
 });
 
-app.get('/api/rooms/:roomId', (req, res) => {
+// Create a room, optionally protected by a password or open to invite links only. The creator,
+// identified by their session token, owns it; invite-only rooms come with a first invite so
+// the creator can get in.
+app.post('/api/rooms', async (req, res) => {
+  const { roomId = crypto.randomUUID(), access = 'public', password } = req.body || {};
+  const user = getSessionUser(req);
+  
+  if (!user) {
+    return res.status(401).json({ error: 'Log in or start a guest session to create rooms' });
+  }
+  if (!roomCreationLimiter.consume(req.ip)) {
+    return res.status(429).json({ error: 'Too many rooms created, slow down' });
+  }
+  if (!isRoomId(roomId)) {
+    return res.status(400).json({ error: 'Invalid room ID' });
+  }
+  if (!ACCESS_MODES.includes(access)) {
+    return res.status(400).json({ error: `Access must be one of: ${ACCESS_MODES.join(', ')}` });
+  }
+  if (access === 'password' && !isValidPassword(password)) {
+    return res.status(400).json({ error: 'A password is required for password-protected rooms' });
+  }
+  
+  // Hashed first, so nothing can join between the room being created and its access being set
+  const passwordHash = access === 'password' ? await hashPassword(password) : null;
+  await drawingStateManager.loadRoom(roomId);
+  if (!drawingStateManager.isNewRoom(roomId)) {
+    return res.status(409).json({ error: 'Room already exists' });
+  }
+  
+  drawingStateManager.claimOwnership(roomId, user.userId);
+  drawingStateManager.setAccess(roomId, access, passwordHash);
+  const room = { roomId, access };
+  if (access === 'invite') {
+    room.invite = createInviteToken(roomId);
+  }
+  res.status(201).json(room);
+});
+
+app.get('/api/rooms/:roomId', async (req, res) => {
   const { roomId } = req.params;
+  if (!isRoomId(roomId)) {
+    return res.status(400).json({ error: 'Invalid room ID' });
+  }
+  await drawingStateManager.loadRoom(roomId);
+  
+  // Say how to get into a private room, but nothing about what is in it
+  if (drawingStateManager.isPrivate(roomId)) {
+    return res.json({ roomId, access: drawingStateManager.getAccess(roomId).mode });
+  }
+  
   const room = roomManager.getRoom(roomId);
   const state = drawingStateManager.getStateMetadata(roomId);
   
   res.json({
     roomId,
+    access: 'public',
     clientCount: room.clients.size,
     state
   });
 });
 
+// Images on a board are uploaded once and downloaded by imageId. Both take the session token
+// (as a bearer token) of someone who is in the room right now; uploads also need the right to draw.
+const uploadLimiter = new RateLimiter({ default: IMAGE_UPLOADS_PER_SECOND });
+const readImage = express.raw({ type: IMAGE_TYPES, limit: MAX_IMAGE_BYTES });
+
+function getRoomMember(req) {
+  const user = getSessionUser(req);
+  if (!user) return null;
+  
+  const inRoom = roomManager.getRoomClients(req.params.roomId).some(client => client.userId === user.userId);
+  return inRoom ? user : null;
+}
+
+app.post('/api/rooms/:roomId/images', (req, res) => {
+  const { roomId } = req.params;
+  if (!isRoomId(roomId)) {
+    return res.status(400).json({ error: 'Invalid room ID' });
+  }
+  const user = getRoomMember(req);
+  if (!user) {
+    return res.status(403).json({ error: 'Join the room to add images' });
+  }
+  if (!drawingStateManager.canEdit(roomId, user.userId)) {
+    return res.status(403).json({ error: 'You can\'t draw in this room right now' });
+  }
+  if (!uploadLimiter.consume(user.userId)) {
+    return res.status(429).json({ error: 'Too many uploads, slow down' });
+  }
+  if (!IMAGE_TYPES.includes(req.get('content-type'))) {
+    return res.status(415).json({ error: 'Images must be PNG, JPEG, GIF or WebP' });
+  }
+  
+  readImage(req, res, async (error) => {
+    if (error) {
+      const tooLarge = error.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `Images can be at most ${Math.floor(MAX_IMAGE_BYTES / 1024 / 1024)} MB` : 'Could not read the image'
+      });
+    }
+    
+    // The contents have to be what the upload claims to be
+    const data = req.body;
+    if (!Buffer.isBuffer(data) || detectImageType(data) !== req.get('content-type')) {
+      return res.status(415).json({ error: 'The file is not a valid image of its type' });
+    }
+    
+    const imageId = getImageId(data);
+    try {
+      await store.saveImage(roomId, imageId, data);
+    } catch (saveError) {
+      console.error(`Could not store an image for room ${roomId}:`, saveError);
+      return res.status(500).json({ error: 'Could not store the image' });
+    }
+    res.status(201).json({ imageId, type: req.get('content-type'), size: data.length });
+  });
+});
+
+app.get('/api/rooms/:roomId/images/:imageId', async (req, res) => {
+  const { roomId, imageId } = req.params;
+  if (!isRoomId(roomId)) {
+    return res.status(400).json({ error: 'Invalid room ID' });
+  }
+  if (!getRoomMember(req)) {
+    return res.status(403).json({ error: 'Join the room to see its images' });
+  }
+  
+  const data = isImageId(imageId) ? await store.loadImage(roomId, imageId) : null;
+  if (!data) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  // An imageId always stands for the same bytes
+  res.set({
+    'Content-Type': detectImageType(data),
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(data);
+});
+
 app.get('/', (req, res) => {
   res.sendFile(path.join(CLIENT_PATH, 'index.html'));
 });
 
+// Send the layer stack and full stroke list of a room so the client can rebuild every layer
+function sendCanvasState(socket, roomId) {
+  const canvasState = drawingStateManager.getState(roomId);
+  socket.emit('canvas-state', {
+    layers: drawingStateManager.getLayers(roomId),
+    strokes: canvasState ? canvasState.strokes : [],
+    version: canvasState ? canvasState.version : 0,
+    seq: canvasState ? canvasState.seq : 0
+  });
+}
+
+// Board locks run out on their own; tell the room when one does
+const boardUnlockTimers = new Map();
+
+function scheduleBoardUnlock(roomId) {
+  clearTimeout(boardUnlockTimers.get(roomId));
+  boardUnlockTimers.delete(roomId);
+  if (!drawingStateManager.isBoardLocked(roomId)) return;
+  
+  const { lockedUntil } = drawingStateManager.getRoomSettings(roomId);
+  boardUnlockTimers.set(roomId, setTimeout(() => {
+    boardUnlockTimers.delete(roomId);
+    io.to(roomId).emit('room-settings', drawingStateManager.getRoomSettings(roomId));
+  }, lockedUntil - Date.now()));
+}
+
+// Tell the sender where its operation landed in the room order (null if it was dropped)
+function acknowledge(ack, seq, extra = {}) {
+  if (typeof ack === 'function') ack({ seq, ...extra });
+}
+
+// Answer a request that is not a sequenced operation
+function reply(ack, result) {
+  if (typeof ack === 'function') ack(result);
+}
+
+// Send an event to everyone in the room but the sender, in the format each member negotiated:
+// binary packets where the codec has a binary form of the event, JSON otherwise
+function emitToRoom(sender, roomId, event, data) {
+  const members = io.sockets.adapter.rooms.get(roomId);
+  if (!members) return;
+  
+  let packet;
+  for (const socketId of members) {
+    const member = socketId !== sender.id && io.sockets.sockets.get(socketId);
+    if (!member) continue;
+    
+    if (member.data.binary) {
+      if (packet === undefined) packet = encodeMessage(event, data);
+      if (packet) {
+        member.emit(BINARY_EVENT, packet);
+        continue;
+      }
+    }
+    member.emit(event, data);
+  }
+}
+
+// Sockets must present a session token; the identity in it is the only one the server uses
+io.use((socket, next) => {
+  const user = verifySessionToken(socket.handshake.auth && socket.handshake.auth.token);
+  if (!user) return next(new Error('unauthorized'));
+  
+  socket.data.user = user;
+  next();
+});
+
 io.on('connection', (socket) => {
   console.log(`Socket connected: ${socket.id}`);
   
+  const { user } = socket.data;
   let currentRoom = null;
-  let currentUserId = null;
+  let currentUserId = user.userId;
   let currentUsername = null;
   
-  socket.on('join-room', ({ roomId, userId, username, color }) => {
-    currentRoom = roomId;
-    currentUserId = userId;
+  const rateLimiter = new RateLimiter();
+  const lastReported = new Map();
+  
+  // Clients that offer the binary codec get drawing and cursor events in it; others stay on JSON
+  socket.data.binary = socket.handshake.auth && socket.handshake.auth.codec === BINARY_CODEC;
+  socket.emit('wire-codec', { codec: socket.data.binary ? BINARY_CODEC : 'json' });
+  
+  // Refuse an event: answer its ack so the client is not left waiting and tell it why.
+  // A flood of bad events is reported once a second per event and reason.
+  function rejectEvent(event, error, ack) {
+    if (typeof ack === 'function') ack({ seq: null, ok: false, error: error.message, code: error.code });
+    
+    const key = `${event}:${error.code}`;
+    const now = Date.now();
+    if (now - (lastReported.get(key) || 0) < 1000) return;
+    lastReported.set(key, now);
+    
+    console.warn(`Rejected ${event} from ${currentUserId || socket.id}: ${error.code}${error.field ? ` (${error.field})` : ''}`);
+    socket.emit('request-error', { event, ...error });
+  }
+  
+  // Every event is rate limited and checked against its schema before a handler sees it;
+  // handlers get the validated payload, bound to the room and identity this socket joined with
+  socket.use((packet, next) => {
+    let [event] = packet;
+    const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+    let payload = packet.length > (ack ? 2 : 1) ? packet[1] : undefined;
+    
+    // Binary packets are unpacked into the event they carry and checked like its JSON form
+    if (event === BINARY_EVENT) {
+      try {
+        ({ event, data: payload } = decodeMessage(payload));
+      } catch (error) {
+        return rejectEvent(BINARY_EVENT, { code: 'invalid-payload', message: error.message }, ack);
+      }
+      packet[0] = event;
+    }
+    
+    if (!rateLimiter.consume(event)) {
+      return rejectEvent(event, { code: 'rate-limited', message: 'Too many requests, slow down' }, ack);
+    }
+    
+    const { value, error } = validatePayload(event, payload, { roomId: currentRoom, userId: currentUserId });
+    if (error) return rejectEvent(event, error, ack);
     
-    // Generate sequential username (User1, User2, User3...) for this room
-    if (!roomUserCounters.has(roomId)) {
-      roomUserCounters.set(roomId, 1);
+    // A retry of an operation the room already has (its ack was lost to a disconnect) is
+    // answered as the first time and not applied again
+    const original = value.opId && drawingStateManager.findOperation(currentRoom, currentUserId, value.opId);
+    if (original) {
+      const { seq, strokeIds, layers } = original;
+      return acknowledge(ack, seq, { duplicate: true, strokeIds, layers });
     }
-    const userNumber = roomUserCounters.get(roomId);
-    currentUsername = `User${userNumber}`;
-    roomUserCounters.set(roomId, userNumber + 1);
+    
+    packet.splice(1, packet.length - 1, value, ...(ack ? [ack] : []));
+    next();
+  });
+  
+  socket.on('join-room', async ({ roomId, username, color, password, invite, since }) => {
+    const userId = currentUserId;
+    
+    // Restore the room from storage before anyone sees or changes it. Checking a room password
+    // takes a while too, so it is done before the checks that must not be interrupted.
+    await drawingStateManager.loadRoom(roomId);
+    const accessError = await checkJoinAccess(drawingStateManager.getAccess(roomId), roomId, { password, invite });
+    
+    // A connection stays in the room it joined; switching rooms takes a new connection
+    if (currentRoom) {
+      return rejectEvent('join-room', { code: 'already-joined', message: 'This connection already joined a room' });
+    }
+    
+    if (accessError) {
+      console.warn(`Rejected join of ${userId} to room ${roomId}: ${accessError}`);
+      socket.emit('join-error', { roomId, code: accessError, message: JOIN_ERROR_MESSAGES[accessError] });
+      return;
+    }
+    if (drawingStateManager.isKicked(roomId, userId)) {
+      socket.emit('join-error', { roomId, code: 'kicked', message: JOIN_ERROR_MESSAGES.kicked });
+      return;
+    }
+    if (user.guest && !drawingStateManager.getRoomSettings(roomId).settings.allowGuests) {
+      socket.emit('join-error', { roomId, code: 'login-required', message: JOIN_ERROR_MESSAGES['login-required'] });
+      return;
+    }
+    
+    currentRoom = roomId;
+    
+    drawingStateManager.claimOwnership(roomId, userId);
+    drawingStateManager.assignDefaultRole(roomId, userId);
+    scheduleBoardUnlock(roomId);
+    
+    // The name asked for, else the one this user had here before; accounts fall back to
+    // their username and guests to a numbered one (User1, User2, User3...)
+    const profile = drawingStateManager.setProfile(roomId, userId, { username, color }, getOtherNames(roomId), user.guest ? null : user.username);
+    currentUsername = profile.username;
     
     socket.join(roomId);
     
-    roomManager.addClient(roomId, userId, socket.id, currentUsername, color);
+    roomManager.addClient(roomId, userId, socket.id, currentUsername, profile.color);
     
     const roomClients = roomManager.getRoomClients(roomId);
     const users = roomClients.map(c => ({
@@ -89,101 +451,361 @@ io.on('connection', (socket) => {
       color: c.color
     }));
     
-    socket.emit('username-assigned', { username: currentUsername });
+    socket.emit('username-assigned', { username: currentUsername, color: profile.color });
     // Send list of other users (excluding self) to the newly joined user
     socket.emit('users-update', { users: users.filter(u => u.userId !== userId) });
     
-    // Send existing canvas state to newly joined user for synchronization
-    const canvasState = drawingStateManager.getState(roomId);
-    if (canvasState) {
-      socket.emit('canvas-state', {
-        canvasData: canvasState.canvasData,
-        version: canvasState.version
-      });
+    // Replay the room's stroke log to the newly joined user for synchronization. A client
+    // rejoining after a reconnect only gets what it missed, if the server still has all of it.
+    socket.emit('room-settings', drawingStateManager.getRoomSettings(roomId));
+    const missed = typeof since === 'number' ? drawingStateManager.getOperationsSince(roomId, since) : null;
+    if (missed) {
+      socket.emit('catch-up', { operations: missed, seq: drawingStateManager.getState(roomId).seq });
+    } else {
+      sendCanvasState(socket, roomId);
     }
     
     socket.to(roomId).emit('user-joined', {
       userId,
       username: currentUsername,
-      color,
+      color: profile.color,
       socketId: socket.id
     });
     
     console.log(`User ${currentUsername} (${userId}) joined room ${roomId}`);
   });
   
+  // Viewers, muted users and everyone but the owner of a locked board only watch:
+  // everything they send that would change the canvas is dropped
+  function canEdit() {
+    return !!currentRoom && drawingStateManager.canEdit(currentRoom, currentUserId);
+  }
+  
+  function isOwner() {
+    return !!currentRoom && drawingStateManager.getRoomSettings(currentRoom).ownerId === currentUserId;
+  }
+  
+  // Display names in use by everyone else in a room; other tabs of the same user don't count
+  function getOtherNames(roomId) {
+    return roomManager.getRoomClients(roomId)
+      .filter(client => client.userId !== currentUserId)
+      .map(client => client.username);
+  }
+  
+  // Send a sequenced operation to the rest of the room, keeping it for members who reconnect
+  // and, under the sender's opId, for recognizing retries
+  function broadcastOperation(event, data, opId) {
+    drawingStateManager.rememberOperation(currentRoom, event, data, currentUserId, opId);
+    emitToRoom(socket, currentRoom, event, data);
+  }
+  
+  // Rename or recolor; duplicate names get a number appended and the ack carries the result
+  socket.on('update-profile', ({ username, color }, ack) => {
+    const profile = drawingStateManager.setProfile(currentRoom, currentUserId, { username, color }, getOtherNames(currentRoom));
+    const previousName = currentUsername;
+    currentUsername = profile.username;
+    roomManager.updateClientProfile(currentRoom, currentUserId, profile);
+    
+    if (previousName !== currentUsername) {
+      console.log(`User ${previousName} (${currentUserId}) is now ${currentUsername} in room ${currentRoom}`);
+    }
+    io.to(currentRoom).emit('user-updated', { userId: currentUserId, ...profile });
+    reply(ack, { ok: true, ...profile });
+  });
+  
   // Broadcast cursor position to other users in the room (throttled on client side)
-  socket.on('cursor-move', ({ roomId, userId, pos }) => {
+  socket.on('cursor-move', ({ pos }) => {
     if (!currentRoom) return;
     
-    roomManager.updateCursorPosition(roomId, userId, pos);
+    roomManager.updateCursorPosition(currentRoom, currentUserId, pos);
     
-    socket.to(roomId).emit('cursor-move', {
-      userId,
+    emitToRoom(socket, currentRoom, 'cursor-move', {
+      userId: currentUserId,
       pos
     });
   });
   
   // Forward drawing events to all other users in the room
-  socket.on('drawing', (data) => {
-    if (!currentRoom) return;
+  socket.on('drawing', ({ opId, ...data }, ack) => {
+    if (!canEdit()) return acknowledge(ack, null);
+    
+    // Record the event in the room's stroke log so late joiners can replay it. Only events the
+    // log accepts are forwarded, as it stored them, so peers see what late joiners will.
+    const event = drawingStateManager.recordDrawingEvent(currentRoom, currentUserId, data, opId);
+    if (!event) return acknowledge(ack, null);
     
-    socket.to(currentRoom).emit('drawing', {
-      ...data,
+    broadcastOperation('drawing', {
+      ...event,
       userId: currentUserId,
       socketId: socket.id
-    });
+    }, opId);
+    acknowledge(ack, event.seq);
   });
   
   // Save and broadcast complete canvas state for synchronization
-  socket.on('canvas-state', ({ roomId, canvasData }) => {
-    drawingStateManager.saveState(roomId, canvasData);
-    roomManager.setCanvasState(roomId, canvasData);
+  // Room events only ever go to the room this socket joined, so a rejected join reads and changes nothing
+  socket.on('canvas-state', ({ canvasData }) => {
+    if (!canEdit()) return;
+    
+    drawingStateManager.saveState(currentRoom, canvasData);
+    roomManager.setCanvasState(currentRoom, canvasData);
     
-    socket.to(roomId).emit('canvas-state', {
+    socket.to(currentRoom).emit('canvas-state', {
       canvasData,
       userId: currentUserId
     });
   });
   
-  socket.on('request-canvas-state', ({ roomId }) => {
-    const canvasState = drawingStateManager.getState(roomId);
-    if (canvasState) {
-      socket.emit('canvas-state', {
-        canvasData: canvasState.canvasData,
-        version: canvasState.version
-      });
-    }
+  socket.on('request-canvas-state', () => {
+    if (currentRoom) sendCanvasState(socket, currentRoom);
   });
   
-  socket.on('clear-canvas', ({ roomId }) => {
-    io.to(roomId).emit('clear-canvas', {
-      userId: currentUserId
-    });
+  socket.on('clear-canvas', ({ lamport, opId }, ack) => {
+    if (!canEdit()) return acknowledge(ack, null);
+    
+    const seq = drawingStateManager.nextSequence(currentRoom);
+    
+    // The sender already cleared locally; it learns the operation's position through the ack
+    broadcastOperation('clear-canvas', {
+      userId: currentUserId,
+      lamport,
+      seq
+    }, opId);
     
-    drawingStateManager.clearState(roomId);
+    // Only the requesting user's strokes are removed, matching the per-user layers on clients
+    drawingStateManager.clearUserStrokes(currentRoom, currentUserId, seq);
+    acknowledge(ack, seq);
   });
   
-  socket.on('undo', ({ roomId, canvasData }) => {
-    console.log(`Undo event from ${currentUsername} (${currentUserId}) in room ${roomId}`);
-    // Broadcast undo event to all users in the room
-    io.to(roomId).emit('undo', {
+  // Undo and redo carry the strokes the sender removed or restored on their own layer
+  socket.on('undo', (data, ack) => handleStrokeChange('undo', data, ack));
+  
+  socket.on('redo', (data, ack) => handleStrokeChange('redo', data, ack));
+  
+  // Deleting a selection removes strokes the same way, as a new operation of its own
+  socket.on('remove-strokes', (data, ack) => handleStrokeChange('remove-strokes', data, ack));
+  
+  // Stroke eraser: whole strokes of any author, as far as the room's erasePermission allows.
+  // The ack lists the strokes actually changed so the sender can detect refused ones.
+  socket.on('erase-strokes', ({ strokeIds, removed, lamport, opId }, ack) => {
+    if (!canEdit() || !Array.isArray(strokeIds)) return acknowledge(ack, null);
+    
+    const seq = drawingStateManager.nextSequence(currentRoom);
+    const changed = drawingStateManager.eraseStrokes(currentRoom, currentUserId, strokeIds, removed !== false, seq);
+    
+    broadcastOperation('erase-strokes', {
       userId: currentUserId,
       username: currentUsername,
-      canvasData
-    });
+      strokeIds: changed,
+      removed: removed !== false,
+      lamport,
+      seq
+    }, opId);
+    acknowledge(ack, seq, { strokeIds: changed });
+  });
+  
+  // Only the room owner may change room settings; everyone in the room gets the result
+  socket.on('update-room-settings', ({ settings }) => {
+    if (!currentRoom) return;
+    
+    const { ownerId } = drawingStateManager.getRoomSettings(currentRoom);
+    if (ownerId !== currentUserId) {
+      console.warn(`Rejected settings change from non-owner ${currentUserId} in room ${currentRoom}`);
+      socket.emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+      return;
+    }
+    
+    if (drawingStateManager.updateSettings(currentRoom, settings)) {
+      console.log(`Room ${currentRoom} settings updated:`, settings);
+      io.to(currentRoom).emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+    }
+  });
+  
+  // The owner decides who may join: anyone, password holders or invite links only.
+  // Members only learn the mode through room-settings, never the password.
+  socket.on('update-room-access', async ({ access, password }, ack) => {
+    if (!isOwner()) {
+      return reply(ack, { ok: false, error: 'Only the room owner can change access' });
+    }
+    if (!ACCESS_MODES.includes(access) || (access === 'password' && !isValidPassword(password))) {
+      return reply(ack, { ok: false, error: 'Invalid access settings' });
+    }
+    
+    const passwordHash = access === 'password' ? await hashPassword(password) : null;
+    drawingStateManager.setAccess(currentRoom, access, passwordHash);
+    
+    console.log(`Room ${currentRoom} access changed to ${access}`);
+    io.to(currentRoom).emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+    reply(ack, { ok: true });
+  });
+  
+  // The owner promotes members to editors or demotes them to viewers
+  socket.on('set-role', ({ userId, role }, ack) => {
+    if (!isOwner()) {
+      return reply(ack, { ok: false, error: 'Only the room owner can change roles' });
+    }
+    if (!drawingStateManager.setRole(currentRoom, userId, role)) {
+      return reply(ack, { ok: false, error: 'Invalid role' });
+    }
+    
+    console.log(`User ${userId} is now ${role} in room ${currentRoom}`);
+    io.to(currentRoom).emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+    reply(ack, { ok: true });
+  });
+  
+  // A guest who is kicked or muted could come straight back under a new guest identity, so
+  // moderating one also closes the room to guests until the owner opens it again. Returns
+  // whether that changed the room's settings.
+  function closeToGuestsFor(userId) {
+    return isGuestId(userId) && !!drawingStateManager.updateSettings(currentRoom, { allowGuests: false });
+  }
+  
+  // Moderation. Muting keeps a user from changing the canvas without changing their role.
+  socket.on('mute-user', ({ userId, muted }, ack) => {
+    if (!isOwner()) {
+      return reply(ack, { ok: false, error: 'Only the room owner can mute users' });
+    }
+    if (!drawingStateManager.setMuted(currentRoom, userId, muted)) {
+      return reply(ack, { ok: false, error: 'The room owner can not be muted' });
+    }
+    const guestsClosed = !!muted && closeToGuestsFor(userId);
+    
+    console.log(`User ${userId} ${muted ? 'muted' : 'unmuted'} in room ${currentRoom}`);
+    io.to(currentRoom).emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+    reply(ack, { ok: true, guestsClosed });
+  });
+  
+  // Kicked users are disconnected and can't rejoin the room for a while
+  socket.on('kick-user', ({ userId }, ack) => {
+    if (!isOwner()) {
+      return reply(ack, { ok: false, error: 'Only the room owner can remove users' });
+    }
+    if (!drawingStateManager.kickUser(currentRoom, userId)) {
+      return reply(ack, { ok: false, error: 'The room owner can not be removed' });
+    }
+    const guestsClosed = closeToGuestsFor(userId);
+    if (guestsClosed) {
+      io.to(currentRoom).emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+    }
+    
+    for (const client of roomManager.getRoomClients(currentRoom)) {
+      const target = client.userId === userId && io.sockets.sockets.get(client.socketId);
+      if (target) {
+        target.emit('kicked', { roomId: currentRoom, message: JOIN_ERROR_MESSAGES.kicked });
+        target.disconnect(true);
+      }
+    }
+    console.log(`User ${userId} kicked from room ${currentRoom} by ${currentUserId}`);
+    reply(ack, { ok: true, guestsClosed });
   });
   
-  socket.on('redo', ({ roomId, canvasData }) => {
-    console.log(`Redo event from ${currentUsername} (${currentUserId}) in room ${roomId}`);
-    // Broadcast redo event to all users in the room
-    io.to(roomId).emit('redo', {
+  // Removing another user's strokes is sequenced like their own clear, which it looks like to everyone else
+  socket.on('clear-user-strokes', ({ userId, lamport, opId }, ack) => {
+    if (!isOwner() || typeof userId !== 'string') return acknowledge(ack, null);
+    
+    const seq = drawingStateManager.nextSequence(currentRoom);
+    drawingStateManager.clearUserStrokes(currentRoom, userId, seq);
+    
+    broadcastOperation('clear-canvas', {
+      userId,
+      clearedBy: currentUserId,
+      lamport,
+      seq
+    }, opId);
+    console.log(`Strokes of ${userId} cleared in room ${currentRoom} by ${currentUserId}`);
+    acknowledge(ack, seq);
+  });
+  
+  // Lock the board for everyone but the owner for duration seconds, or unlock it early
+  socket.on('lock-board', ({ locked, duration }, ack) => {
+    if (!isOwner()) {
+      return reply(ack, { ok: false, error: 'Only the room owner can lock the board' });
+    }
+    
+    const lockedUntil = drawingStateManager.lockBoard(currentRoom, locked === false ? 0 : duration || undefined);
+    scheduleBoardUnlock(currentRoom);
+    
+    console.log(`Board of room ${currentRoom} ${lockedUntil ? 'locked until ' + new Date(lockedUntil).toISOString() : 'unlocked'}`);
+    io.to(currentRoom).emit('room-settings', drawingStateManager.getRoomSettings(currentRoom));
+    reply(ack, { ok: true, lockedUntil });
+  });
+  
+  // Signed, expiring invite links are handed out by the room owner
+  socket.on('create-invite', ({ expiresIn } = {}, ack) => {
+    if (!isOwner()) {
+      return reply(ack, { ok: false, error: 'Only the room owner can create invites' });
+    }
+    
+    reply(ack, { ok: true, ...createInviteToken(currentRoom, expiresIn) });
+  });
+  
+  // Move/scale/rotate of a selection: absolute transforms for some of the sender's strokes
+  socket.on('transform-strokes', ({ strokes, lamport, opId }, ack) => {
+    if (!canEdit() || !Array.isArray(strokes)) return acknowledge(ack, null);
+    
+    const seq = drawingStateManager.nextSequence(currentRoom);
+    const changed = drawingStateManager.setStrokeTransforms(currentRoom, currentUserId, strokes, seq);
+    
+    broadcastOperation('transform-strokes', {
       userId: currentUserId,
-      username: currentUsername,
-      canvasData
-    });
+      strokes: changed,
+      lamport,
+      seq
+    }, opId);
+    acknowledge(ack, seq);
   });
   
+  // Layer changes are sequenced like strokes: everyone else gets the resulting stack in room
+  // order, the sender gets it with the ack (unchanged if the server refused the change)
+  function handleLayerChange(apply, { lamport, opId }, ack) {
+    if (!canEdit()) return acknowledge(ack, null);
+    
+    const seq = drawingStateManager.nextSequence(currentRoom);
+    if (apply(seq)) {
+      console.log(`Layers changed by ${currentUsername} (${currentUserId}) in room ${currentRoom}`);
+    }
+    
+    const layers = drawingStateManager.getLayers(currentRoom);
+    broadcastOperation('layers', {
+      userId: currentUserId,
+      layers,
+      lamport,
+      seq
+    }, opId);
+    acknowledge(ack, seq, { layers });
+  }
+  
+  socket.on('add-layer', (data, ack) => handleLayerChange(
+    seq => drawingStateManager.addLayer(currentRoom, data, seq), data, ack));
+  
+  socket.on('update-layer', (data, ack) => handleLayerChange(
+    seq => drawingStateManager.updateLayer(currentRoom, data.layerId, data.changes, seq), data, ack));
+  
+  socket.on('remove-layer', (data, ack) => handleLayerChange(
+    seq => drawingStateManager.removeLayer(currentRoom, data.layerId, seq), data, ack));
+  
+  socket.on('move-layer', (data, ack) => handleLayerChange(
+    seq => drawingStateManager.moveLayer(currentRoom, data.layerId, data.index, seq), data, ack));
+  
+  function handleStrokeChange(event, { strokeIds, removed, lamport, opId }, ack) {
+    console.log(`${event} event from ${currentUsername} (${currentUserId}) in room ${currentRoom}`);
+    if (!canEdit() || !Array.isArray(strokeIds)) return acknowledge(ack, null);
+    
+    const seq = drawingStateManager.nextSequence(currentRoom);
+    const changed = drawingStateManager.setStrokesRemoved(currentRoom, currentUserId, strokeIds, !!removed, seq);
+    
+    // Broadcast to all other users in the room
+    broadcastOperation(event, {
+      userId: currentUserId,
+      username: currentUsername,
+      strokeIds: changed,
+      removed: !!removed,
+      lamport,
+      seq
+    }, opId);
+    acknowledge(ack, seq);
+  }
+  
   socket.on('disconnect', () => {
     console.log(`Socket disconnected: ${socket.id}`);
     
@@ -205,30 +827,41 @@ io.on('connection', (socket) => {
   });
 });
 
-// Periodic cleanup of inactive rooms and old canvas states (every 5 minutes)
+// Periodic cleanup of inactive rooms, old canvas states and idle login, upload and room creation limits (every 5 minutes).
+// Inactive rooms are unloaded from memory after 1 hour and deleted from storage after 24 hours.
 setInterval(() => {
   roomManager.cleanupInactiveRooms();
-  drawingStateManager.cleanup();
+  loginLimiter.prune();
+  roomCreationLimiter.prune();
+  uploadLimiter.prune();
+  drawingStateManager.unloadInactive(roomId => roomManager.getRoomClients(roomId).length > 0);
+  drawingStateManager.cleanup().catch((error) => {
+    console.error('Canvas state cleanup failed:', error);
+  });
 }, 300000);
 
 server.listen(PORT, () => {
   console.log(`Collaborative Canvas Server Running`);
 });
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
+// Flush every room to storage before exiting so a deploy does not lose drawings
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully...`);
+  
+  try {
+    await drawingStateManager.persistAll();
+  } catch (error) {
+    console.error('Failed to persist rooms on shutdown:', error);
+  }
+  
+  io.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('\nSIGINT received, shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = { app, server, io };
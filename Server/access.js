@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// scrypt is slow on purpose, so it runs off the event loop
+const scrypt = promisify(crypto.scrypt);
+
+// Who may join a room: anyone with its ID, anyone who knows its password, or only holders of
+// an invite token. Invite tokens admit to password rooms too, so owners can share a link.
+const ACCESS_MODES = ['public', 'password', 'invite'];
+
+const MAX_PASSWORD_LENGTH = 128;
+
+// Invite lifetime in seconds when none is requested, and the longest one allowed
+const DEFAULT_INVITE_TTL = 24 * 60 * 60;
+const MAX_INVITE_TTL = 30 * 24 * 60 * 60;
+
+// Tokens are signed with INVITE_SECRET; without it a random secret is used and invites
+// stop working when the server restarts
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.INVITE_SECRET) {
+  console.warn('INVITE_SECRET is not set, invite links will not survive a server restart');
+}
+
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+// Salted scrypt hash, stored as "salt$hash" in hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) return false;
+  
+  const [salt, hash] = stored.split('$');
+  if (!salt || !hash) return false;
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', INVITE_SECRET).update(payload).digest('base64url');
+}
+
+// A token is "payload.signature", where the payload names the room and the expiry time
+function createInviteToken(roomId, ttl = DEFAULT_INVITE_TTL) {
+  const seconds = Math.min(Math.max(Number(ttl) || DEFAULT_INVITE_TTL, 60), MAX_INVITE_TTL);
+  const expiresAt = Date.now() + seconds * 1000;
+  const payload = Buffer.from(JSON.stringify({ roomId, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// Returns null for a valid token, otherwise the error code to reject the join with
+function checkInviteToken(token, roomId) {
+  if (typeof token !== 'string') return 'invite-required';
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return 'invite-invalid';
+  
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'invite-invalid';
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return 'invite-invalid';
+  }
+  if (claims.roomId !== roomId) return 'invite-invalid';
+  if (!(claims.exp > Date.now())) return 'invite-expired';
+  return null;
+}
+
+// Decide whether a join request gets into a room with the given access rules.
+// Resolves with null when it does, otherwise the error code to send back.
+async function checkJoinAccess(access, roomId, { password, invite }) {
+  if (access.mode === 'public') return null;
+  if (invite) return checkInviteToken(invite, roomId);
+  if (access.mode === 'invite') return 'invite-required';
+  if (password === undefined || password === null || password === '') return 'password-required';
+  return (await verifyPassword(password, access.passwordHash)) ? null : 'password-invalid';
+}
+
+const JOIN_ERROR_MESSAGES = {
+  'password-required': 'This room is protected by a password',
+  'password-invalid': 'Wrong room password',
+  'invite-required': 'This room can only be joined with an invite link',
+  'invite-invalid': 'This invite link is not valid for this room',
+  'invite-expired': 'This invite link has expired',
+  kicked: 'The room owner removed you from this room, try again later',
+  'login-required': 'This room is only open to logged-in users'
+};
+
+module.exports = {
+  ACCESS_MODES,
+  JOIN_ERROR_MESSAGES,
+  isValidPassword,
+  hashPassword,
+  verifyPassword,
+  createInviteToken,
+  checkInviteToken,
+  checkJoinAccess
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hashPassword, verifyPassword } = require('./access');
+
+// Identities are issued by the server as signed session tokens: accounts log in with a
+// username and password, guests get a random identity of their own. Sockets present the
+// token in their handshake and everything they do is attributed to the identity inside it.
+const ACCOUNT_SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const GUEST_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+const GUEST_ID_PREFIX = 'guest_';
+const USERNAME_PATTERN = /^[\w.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Without SESSION_SECRET every session ends when the server restarts
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set, sessions will not survive a server restart');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// A token is "payload.signature"; the payload holds the user and the expiry time
+function createSessionToken(user) {
+  const expiresAt = Date.now() + (user.guest ? GUEST_SESSION_TTL : ACCOUNT_SESSION_TTL);
+  const claims = { userId: user.userId, username: user.username, guest: !!user.guest, exp: expiresAt };
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// The user a token was issued to, or null if it is forged, malformed or expired
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+  if (!(claims.exp > Date.now()) || typeof claims.userId !== 'string') return null;
+  return { userId: claims.userId, username: claims.username || null, guest: !!claims.guest };
+}
+
+function createGuest() {
+  return { userId: GUEST_ID_PREFIX + crypto.randomUUID(), username: null, guest: true };
+}
+
+// Guests can start a new guest session, and so get a new user ID, whenever they like
+function isGuestId(userId) {
+  return typeof userId === 'string' && userId.startsWith(GUEST_ID_PREFIX);
+}
+
+function isValidUsername(username) {
+  return typeof username === 'string' && USERNAME_PATTERN.test(username);
+}
+
+function isValidAccountPassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+// Local accounts, kept in one JSON file (or only in memory when persistence is off).
+// Usernames are unique regardless of case.
+class UserStore {
+  constructor(file = null) {
+    this.file = file;
+    this.users = new Map();
+    this.saving = Promise.resolve();
+    
+    if (file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      if (fs.existsSync(file)) {
+        for (const user of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+          this.users.set(user.username.toLowerCase(), user);
+        }
+      }
+      console.log(`Loaded ${this.users.size} accounts from ${file}`);
+    }
+  }
+  
+  // Returns the new account, or null if the username is taken
+  async register(username, password) {
+    // Hashed first, so no other registration can take the name while this one waits
+    const passwordHash = await hashPassword(password);
+    const key = username.toLowerCase();
+    if (this.users.has(key)) return null;
+    
+    const user = {
+      userId: 'user_' + crypto.randomUUID(),
+      username,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(key, user);
+    await this.save();
+    return user;
+  }
+  
+  // Resolves with the account, or null if the username or password is wrong
+  async authenticate(username, password) {
+    const user = typeof username === 'string' ? this.users.get(username.toLowerCase()) : null;
+    if (!user || !(await verifyPassword(password, user.passwordHash))) return null;
+    return user;
+  }
+  
+  // Write through a temporary file so a crash never leaves half a user list behind
+  save() {
+    if (!this.file) return Promise.resolve();
+    
+    const data = JSON.stringify(Array.from(this.users.values()), null, 2);
+    const write = this.saving.then(async () => {
+      const temp = `${this.file}.tmp`;
+      await fs.promises.writeFile(temp, data);
+      await fs.promises.rename(temp, this.file);
+    });
+    this.saving = write.catch((error) => {
+      console.error('Failed to save accounts:', error);
+    });
+    return write;
+  }
+}
+
+// Accounts live next to the rooms, unless STORAGE=memory
+function createUserStore() {
+  if (process.env.STORAGE === 'memory') return new UserStore();
+  
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  return new UserStore(path.join(dataDir, 'accounts', 'users.json'));
+}
+
+// The public part of an identity, as sent to clients
+function toSessionUser(user) {
+  return { userId: user.userId, username: user.username, guest: !!user.guest };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  UserStore,
+  createUserStore,
+  createSessionToken,
+  verifySessionToken,
+  createGuest,
+  isGuestId,
+  isValidUsername,
+  isValidAccountPassword,
+  toSessionUser
+};
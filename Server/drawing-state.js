@@ -1,24 +1,996 @@
+const { ACCESS_MODES } = require('./access');
+const { MAX_TEXT_LENGTH } = require('./validation');
+const { decodePoints, withPressure } = require('../Shared/wire-codec');
+
+// Freehand modes are streamed as start, 'points' chunks (or single 'move' points from older
+// clients) and end; shape modes arrive as one complete 'shape' event
+const STROKE_MODES = ['brush', 'eraser'];
+const SHAPE_MODES = ['line', 'arrow', 'rectangle', 'ellipse'];
+
+// Text objects are sent whole on every edit ('text' events); their size is capped in validation.js
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+// Paint-bucket fills only ever arrive complete, as a box (two points) and a mask of the cells
+// filled within it; validation.js caps the mask size
+const FILL_MODE = 'fill';
+
+// Imported images arrive complete too: a box (two points) and the imageId of the image the
+// room stores (see images.js)
+const IMAGE_MODE = 'image';
+
+// Complete strokes ('stroke' events, sent for fills, images, duplicates, pasted copies and strokes
+// drawn while offline) can be of any drawable mode
+const COPYABLE_MODES = [...STROKE_MODES, ...SHAPE_MODES, 'text', FILL_MODE, IMAGE_MODE];
+
+// Brush engine settings of brush strokes, normalized exactly like Client/brushes.js does it;
+// strokes drawn with the plain round brush have none
+const BLEND_MODES = ['normal', 'multiply', 'screen', 'darken', 'lighten'];
+const BRUSH_TIPS = ['round', 'square', 'chisel'];
+const BRUSH_TEXTURES = ['none', 'grain', 'spray'];
+const MIN_BRUSH_OPACITY = 0.05;
+const MAX_BRUSH_DASH = 20;
+
+// Roles the room owner can give members: editors draw, viewers only watch.
+// The owner's own role is implied by ownerId and can't be assigned.
+const ROLES = ['editor', 'viewer'];
+
+// Moderation: kicked users can't rejoin for a while, and board locks always run out.
+// Lock durations are in seconds.
+const KICK_DURATION = 10 * 60 * 1000;
+const DEFAULT_LOCK_DURATION = 15 * 60;
+const MAX_LOCK_DURATION = 24 * 60 * 60;
+
+// Display names and avatar colors members go by. A name someone else in the room is using
+// gets a number appended; members without a name of their own are numbered (User1, User2...).
+const MAX_DISPLAY_NAME_LENGTH = 32;
+const USER_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_USER_COLOR = '#6366f1';
+
+// Sequenced operations kept in memory per room, so clients that reconnect can be sent only
+// what they missed; anyone further behind gets the full canvas state instead
+const RECENT_OPERATIONS_LIMIT = 5000;
+
+// opIds of the latest operations of each sender, stored with the room, so a retry is recognized
+// even after a restart. Clients retry only what was in flight, at most 32 operations per tab.
+const OPERATION_IDS_PER_SENDER = 256;
+
+// Room settings and the values each one accepts. erasePermission controls whose strokes the
+// stroke eraser may delete: only your own, anyone's, or anyone's but only for the room owner.
+// defaultRole is the role users get the first time they join, and allowGuests lets people
+// without an account in.
+const ERASE_PERMISSIONS = ['own', 'anyone', 'owner'];
+const DEFAULT_SETTINGS = { erasePermission: 'own', defaultRole: 'editor', allowGuests: true };
+const SETTING_VALIDATORS = {
+  erasePermission: value => ERASE_PERMISSIONS.includes(value),
+  defaultRole: value => ROLES.includes(value),
+  allowGuests: value => typeof value === 'boolean'
+};
+
+// Shared layers, listed bottom to top. Strokes recorded before layers existed belong to the default one.
+const DEFAULT_LAYER_ID = 'default';
+const MAX_LAYERS = 50;
+const MAX_LAYER_NAME_LENGTH = 64;
+const LAYER_VALIDATORS = {
+  name: value => typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_LAYER_NAME_LENGTH,
+  visible: value => typeof value === 'boolean',
+  locked: value => typeof value === 'boolean',
+  opacity: value => Number.isFinite(value) && value >= 0 && value <= 1
+};
+
+function createDefaultLayers() {
+  return [{ layerId: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, opacity: 1, locked: false }];
+}
+
+// Trimmed, single-spaced and free of control characters; null when nothing is left
+function normalizeDisplayName(name) {
+  if (typeof name !== 'string') return null;
+  const normalized = name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_DISPLAY_NAME_LENGTH);
+  return normalized || null;
+}
+
+// The name itself when nobody in takenNames goes by it (ignoring case), otherwise "name (2)", "name (3)"...
+function uniqueDisplayName(name, takenNames) {
+  const taken = new Set(takenNames.map(other => other.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = name.slice(0, MAX_DISPLAY_NAME_LENGTH - suffix.length) + suffix;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+// Stroke transforms are affine matrices [a, b, c, d, e, f], or null for none
+function isValidTransform(transform) {
+  return transform === null ||
+    (Array.isArray(transform) && transform.length === 6 && transform.every(Number.isFinite));
+}
+
+// Freehand smoothing strength from 0 to 1; strokes from older clients have none
+function normalizeSmoothing(smoothing) {
+  return typeof smoothing === 'number' ? Math.min(1, Math.max(0, smoothing)) : undefined;
+}
+
+function normalizeBrush(mode, brush) {
+  if (mode !== 'brush' || !brush) return undefined;
+  
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+  const { dash } = brush;
+  const normalized = {
+    opacity: Number.isFinite(brush.opacity) ? clamp(brush.opacity, MIN_BRUSH_OPACITY, 1) : 1,
+    blend: BLEND_MODES.includes(brush.blend) ? brush.blend : 'normal',
+    tip: BRUSH_TIPS.includes(brush.tip) ? brush.tip : 'round',
+    texture: BRUSH_TEXTURES.includes(brush.texture) ? brush.texture : 'none',
+    dash: Array.isArray(dash) && dash.length === 2 && dash.every(Number.isFinite) && dash[0] > 0
+      ? dash.map(length => clamp(length, 0, MAX_BRUSH_DASH))
+      : null
+  };
+  
+  const plain = normalized.opacity === 1 && normalized.blend === 'normal' && normalized.tip === 'round' &&
+    normalized.texture === 'none' && normalized.dash === null;
+  return plain ? undefined : normalized;
+}
+
+// A fill mask whose runs cover exactly its width * height cells, copied; null otherwise
+function normalizeMask(mask) {
+  if (!mask) return null;
+  
+  const total = mask.runs.reduce((sum, run) => sum + run, 0);
+  return total === mask.width * mask.height ? { width: mask.width, height: mask.height, runs: mask.runs.slice() } : null;
+}
+
+// Stored copy of a stroke point, keeping its pen pressure (0 to 1) if it has one
+function copyPoint(point) {
+  const copy = { x: point.x, y: point.y };
+  if (typeof point.p === 'number') copy.p = Math.min(1, Math.max(0, point.p));
+  return copy;
+}
+
 class DrawingStateManager {
-  constructor() {
+  constructor(store = null) {
     this.states = new Map();
+    
+    // Optional persistence backend (see storage.js); rooms are loaded from it lazily
+    this.store = store;
+    this.loading = new Map();
+  }
+  
+  createEmptyState() {
+    return {
+      canvasData: null,
+      strokes: [],
+      strokeIndex: new Map(),
+      timestamp: Date.now(),
+      version: 0,
+      seq: 0,
+      ownerId: null,
+      roles: {},
+      muted: {},
+      kicked: {},
+      lockedUntil: null,
+      profiles: {},
+      settings: { ...DEFAULT_SETTINGS },
+      layers: createDefaultLayers(),
+      access: { mode: 'public', passwordHash: null },
+      recentOperations: [],
+      
+      // senderId -> Map of opId -> seq, oldest first
+      operationIds: new Map()
+    };
+  }
+  
+  // Lazily create the per-room state holding the ordered stroke log
+  getOrCreateState(roomId) {
+    if (!this.states.has(roomId)) {
+      this.states.set(roomId, this.createEmptyState());
+    }
+    return this.states.get(roomId);
+  }
+  
+  // Restore a room from storage the first time it is used since the server started
+  loadRoom(roomId) {
+    if (this.states.has(roomId)) return Promise.resolve(this.states.get(roomId));
+    if (!this.store) return Promise.resolve(this.getOrCreateState(roomId));
+    
+    if (!this.loading.has(roomId)) {
+      const loading = this.store.loadRoom(roomId)
+        .then(stored => this.restoreState(roomId, stored))
+        .catch((error) => {
+          console.error(`Failed to load room ${roomId} from storage:`, error);
+          return this.getOrCreateState(roomId);
+        })
+        .finally(() => this.loading.delete(roomId));
+      this.loading.set(roomId, loading);
+    }
+    return this.loading.get(roomId);
+  }
+  
+  restoreState(roomId, stored) {
+    // Someone may have created the room while storage was being read
+    if (this.states.has(roomId)) return this.states.get(roomId);
+    
+    const state = this.createEmptyState();
+    if (stored && stored.snapshot) {
+      const { canvasData, strokes, timestamp, version, seq, ownerId, roles, muted, kicked, lockedUntil, profiles, settings, layers, access, operationIds } = stored.snapshot;
+      Object.assign(state, {
+        canvasData,
+        strokes: strokes || [],
+        timestamp,
+        version,
+        seq,
+        ownerId: ownerId || null,
+        roles: roles || {},
+        muted: muted || {},
+        kicked: kicked || {},
+        lockedUntil: lockedUntil || null,
+        profiles: profiles || {},
+        settings: { ...DEFAULT_SETTINGS, ...settings },
+        layers: layers || createDefaultLayers(),
+        access: access || state.access,
+        operationIds: new Map(Object.entries(operationIds || {}).map(([senderId, ids]) => [senderId, new Map(ids)]))
+      });
+      for (const stroke of state.strokes) {
+        stroke.layerId = stroke.layerId || DEFAULT_LAYER_ID;
+        state.strokeIndex.set(stroke.strokeId, stroke);
+      }
+    }
+    
+    if (stored) {
+      for (const record of stored.records) {
+        if (this.applyRecord(state, record)) state.version++;
+        if (typeof record.seq === 'number') state.seq = Math.max(state.seq, record.seq);
+      }
+    }
+    
+    this.states.set(roomId, state);
+    return state;
+  }
+  
+  serializeState(state) {
+    return {
+      canvasData: state.canvasData,
+      strokes: state.strokes,
+      timestamp: state.timestamp,
+      version: state.version,
+      seq: state.seq,
+      ownerId: state.ownerId,
+      roles: state.roles,
+      muted: state.muted,
+      kicked: state.kicked,
+      lockedUntil: state.lockedUntil,
+      profiles: state.profiles,
+      settings: state.settings,
+      layers: state.layers,
+      access: state.access,
+      operationIds: Object.fromEntries(Array.from(state.operationIds, ([senderId, ids]) => [senderId, Array.from(ids)]))
+    };
   }
   
   // Increment version number for optimistic concurrency control
+  touch(state) {
+    state.timestamp = Date.now();
+    state.version++;
+  }
+  
+  // Apply a change record to a room and journal it so it survives restarts
+  commit(roomId, record) {
+    const state = this.getOrCreateState(roomId);
+    if (!this.applyRecord(state, record)) return false;
+    
+    this.touch(state);
+    if (this.store && this.store.appendRecord(roomId, record)) {
+      this.store.writeSnapshot(roomId, this.serializeState(state));
+    }
+    return true;
+  }
+  
+  // Single place that mutates room state, shared by live events and journal replay
+  applyRecord(state, record) {
+    if (record.op === 'drawing') {
+      if (!this.applyDrawingEvent(state, record.userId, record.event)) return false;
+      if (record.opId) this.addOperationId(state, record.userId, record.opId, record.seq);
+      return true;
+    }
+    if (record.op === 'operation') {
+      this.addOperationId(state, record.userId, record.opId, record.seq);
+      return true;
+    }
+    if (record.op === 'clear') {
+      const strokeIds = state.strokes
+        .filter(stroke => stroke.userId === record.userId && !stroke.removed)
+        .map(stroke => stroke.strokeId);
+      return this.markStrokesRemoved(state, record.userId, strokeIds, true).length > 0;
+    }
+    if (record.op === 'strokes-removed') {
+      return this.markStrokesRemoved(state, record.userId, record.strokeIds, record.removed).length > 0;
+    }
+    if (record.op === 'erase') {
+      return this.markStrokesErased(state, record.strokeIds, record.removed).length > 0;
+    }
+    if (record.op === 'owner') {
+      if (state.ownerId) return false;
+      state.ownerId = record.userId;
+      return true;
+    }
+    if (record.op === 'role') {
+      if (state.roles[record.userId] === record.role) return false;
+      state.roles[record.userId] = record.role;
+      return true;
+    }
+    if (record.op === 'mute') {
+      if (!!state.muted[record.userId] === record.muted) return false;
+      if (record.muted) state.muted[record.userId] = true;
+      else delete state.muted[record.userId];
+      return true;
+    }
+    if (record.op === 'kick') {
+      // Expired kicks are dropped whenever someone new is kicked
+      for (const [userId, until] of Object.entries(state.kicked)) {
+        if (until <= record.at) delete state.kicked[userId];
+      }
+      state.kicked[record.userId] = record.until;
+      return true;
+    }
+    if (record.op === 'board-lock') {
+      state.lockedUntil = record.until;
+      return true;
+    }
+    if (record.op === 'profile') {
+      const previous = state.profiles[record.userId];
+      if (previous && previous.username === record.username && previous.color === record.color) return false;
+      state.profiles[record.userId] = { username: record.username, color: record.color };
+      return true;
+    }
+    if (record.op === 'settings') {
+      Object.assign(state.settings, record.settings);
+      return true;
+    }
+    if (record.op === 'access') {
+      state.access = { mode: record.mode, passwordHash: record.passwordHash };
+      return true;
+    }
+    if (record.op === 'transform') {
+      return this.applyTransforms(state, record.userId, record.strokes).length > 0;
+    }
+    if (record.op === 'layer') {
+      return this.applyLayerRecord(state, record);
+    }
+    if (record.op === 'canvas') {
+      state.canvasData = record.canvasData;
+      return true;
+    }
+    return false;
+  }
+  
+  // Assign the next room-wide sequence number; clients apply operations in this total order
+  nextSequence(roomId) {
+    const state = this.getOrCreateState(roomId);
+    state.seq++;
+    return state.seq;
+  }
+  
+  // Keep a broadcast operation ({ event, data, opId } with data.seq) for catching up reconnecting
+  // clients, who know their own by the opId. It is stored with the room as well, unless the
+  // operation's own record already carried it.
+  rememberOperation(roomId, event, data, senderId = null, opId = null) {
+    const state = this.getOrCreateState(roomId);
+    const { recentOperations } = state;
+    recentOperations.push({ event, data, opId });
+    if (recentOperations.length > RECENT_OPERATIONS_LIMIT) {
+      recentOperations.splice(0, recentOperations.length - RECENT_OPERATIONS_LIMIT);
+    }
+    
+    const ids = state.operationIds.get(senderId);
+    if (opId && !(ids && ids.has(opId))) {
+      this.commit(roomId, { op: 'operation', userId: senderId, opId, seq: data.seq });
+    }
+  }
+  
+  addOperationId(state, senderId, opId, seq) {
+    let ids = state.operationIds.get(senderId);
+    if (!ids) {
+      ids = new Map();
+      state.operationIds.set(senderId, ids);
+    }
+    ids.set(opId, seq);
+    if (ids.size > OPERATION_IDS_PER_SENDER) ids.delete(ids.keys().next().value);
+  }
+  
+  // What the server acknowledged for an operation a user already sent with this opId, or null.
+  // What it changed is only known while the operation is kept in memory, else just its seq.
+  findOperation(roomId, senderId, opId) {
+    const state = this.getOrCreateState(roomId);
+    const ids = state.operationIds.get(senderId);
+    if (!ids || !ids.has(opId)) return null;
+    
+    const seq = ids.get(opId);
+    const op = state.recentOperations.find(kept => kept.data.seq === seq);
+    return op ? op.data : { seq };
+  }
+  
+  // Every operation after sequence number seq, in order, or null when some of them are no
+  // longer kept (or seq is from before a restart) and the client needs the full state
+  getOperationsSince(roomId, seq) {
+    const state = this.getOrCreateState(roomId);
+    if (seq > state.seq) return null;
+    if (seq === state.seq) return [];
+    
+    const { recentOperations } = state;
+    const first = recentOperations.findIndex(op => op.data.seq > seq);
+    if (first === -1 || recentOperations[first].data.seq !== seq + 1) return null;
+    return recentOperations.slice(first);
+  }
+  
   saveState(roomId, canvasData) {
-    this.states.set(roomId, {
-      canvasData,
-      timestamp: Date.now(),
-      version: (this.states.get(roomId)?.version || 0) + 1
-    });
+    this.commit(roomId, { op: 'canvas', canvasData });
     console.log(`Saved canvas state for room ${roomId}`);
   }
   
+  // Record a start/move/end drawing event as part of a structured stroke. Returns the event as
+  // stored, which is what peers get, or null when the log refuses it.
+  recordDrawingEvent(roomId, userId, { type, strokeId, layerId, pos, points, deltas, pressure, pressures, mode, color, width, smoothing, brush, fill, text, fontSize, align, mask, imageId, transform, lamport }, opId = null) {
+    if (!strokeId) return null;
+    
+    // The event takes the room's next sequence number only once it is accepted, so refused
+    // events leave no gap in the order clients follow
+    const state = this.getOrCreateState(roomId);
+    const seq = state.seq + 1;
+    
+    // New strokes and text edits need an existing, unlocked layer; a stroke already being drawn may finish
+    const existing = state.strokeIndex.get(strokeId);
+    layerId = existing ? existing.layerId : (layerId || DEFAULT_LAYER_ID);
+    if ((!existing || type === 'text') && this.isLayerLocked(state, layerId)) return null;
+    
+    let event;
+    if (type === 'text') {
+      if (!pos || typeof text !== 'string' || text.length > MAX_TEXT_LENGTH) return null;
+      event = {
+        type,
+        strokeId,
+        layerId,
+        pos: { x: pos.x, y: pos.y },
+        text,
+        color,
+        fontSize,
+        align: TEXT_ALIGNMENTS.includes(align) ? align : 'left',
+        lamport,
+        seq
+      };
+    } else if (type === 'stroke') {
+      if (!Array.isArray(points) || points.length === 0 || !COPYABLE_MODES.includes(mode)) return null;
+      if (mode === 'text' && (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH)) return null;
+      if (mode === FILL_MODE) {
+        mask = normalizeMask(mask);
+        if (!mask || points.length !== 2) return null;
+      }
+      if (mode === IMAGE_MODE && (!imageId || points.length !== 2)) return null;
+      event = {
+        type,
+        strokeId,
+        layerId,
+        points: points.map(copyPoint),
+        mode,
+        color,
+        width,
+        smoothing: normalizeSmoothing(smoothing),
+        brush: normalizeBrush(mode, brush),
+        fill: !!fill,
+        text,
+        fontSize,
+        align,
+        mask: mode === FILL_MODE ? mask : undefined,
+        imageId: mode === IMAGE_MODE ? imageId : undefined,
+        transform: isValidTransform(transform) ? transform : null,
+        lamport,
+        seq
+      };
+    } else if (type === 'shape') {
+      if (!Array.isArray(points) || points.length !== 2) return null;
+      event = {
+        type,
+        strokeId,
+        layerId,
+        points: points.map(point => ({ x: point.x, y: point.y })),
+        mode,
+        color,
+        width,
+        fill: !!fill,
+        lamport,
+        seq
+      };
+    } else if (type === 'points') {
+      // Journaled as sent, the encoded form is far smaller than the points
+      if (!Array.isArray(deltas) || deltas.length < 2 || deltas.length % 2 !== 0) return null;
+      // Pressures count only if there is one for every point
+      if (!Array.isArray(pressures) || pressures.length !== deltas.length / 2) pressures = undefined;
+      event = { type, strokeId, layerId, deltas, pressures, lamport, seq };
+    } else if (type === 'end') {
+      event = { type, strokeId, layerId, lamport, seq };
+    } else {
+      if (!pos) return null;
+      event = {
+        type,
+        strokeId,
+        layerId,
+        pos: { x: pos.x, y: pos.y },
+        pressure,
+        mode,
+        color,
+        width,
+        smoothing: normalizeSmoothing(smoothing),
+        brush: normalizeBrush(mode, brush),
+        lamport,
+        seq
+      };
+    }
+    
+    if (!this.commit(roomId, { op: 'drawing', userId, event, seq, opId: opId || undefined })) return null;
+    
+    state.seq = seq;
+    return event;
+  }
+  
+  applyDrawingEvent(state, userId, { type, strokeId, layerId = DEFAULT_LAYER_ID, pos, points, deltas, pressure, pressures, mode, color, width, smoothing, brush, fill, text, fontSize, align, mask, imageId, transform, lamport, seq }) {
+    let stroke = state.strokeIndex.get(strokeId);
+    
+    if (type === 'text') {
+      // Every text event carries the full content: create the object or replace its content
+      if (!stroke) {
+        stroke = { strokeId, userId, layerId, mode: 'text', lamport, seq, complete: true, removed: false };
+        state.strokes.push(stroke);
+        state.strokeIndex.set(strokeId, stroke);
+      } else if (stroke.userId !== userId || stroke.mode !== 'text') {
+        return false;
+      }
+      Object.assign(stroke, { color, fontSize, align, text, points: [{ x: pos.x, y: pos.y }] });
+    } else if (type === 'stroke') {
+      if (stroke) return false;
+      stroke = {
+        strokeId,
+        userId,
+        layerId,
+        mode,
+        color,
+        width,
+        smoothing,
+        brush,
+        fill,
+        points,
+        transform,
+        lamport,
+        seq,
+        complete: true,
+        removed: false
+      };
+      if (mode === 'text') Object.assign(stroke, { text, fontSize, align });
+      if (mode === FILL_MODE) stroke.mask = mask;
+      if (mode === IMAGE_MODE) stroke.imageId = imageId;
+      state.strokes.push(stroke);
+      state.strokeIndex.set(strokeId, stroke);
+    } else if (type === 'shape') {
+      if (stroke || !SHAPE_MODES.includes(mode)) return false;
+      stroke = {
+        strokeId,
+        userId,
+        layerId,
+        mode,
+        color,
+        width,
+        fill,
+        points,
+        lamport,
+        seq,
+        complete: true,
+        removed: false
+      };
+      state.strokes.push(stroke);
+      state.strokeIndex.set(strokeId, stroke);
+    } else if (type === 'start') {
+      if (stroke) return false;
+      stroke = {
+        strokeId,
+        userId,
+        layerId,
+        mode: STROKE_MODES.includes(mode) ? mode : 'brush',
+        color,
+        width,
+        smoothing,
+        brush,
+        points: [withPressure({ x: pos.x, y: pos.y }, pressure)],
+        lamport,
+        seq,
+        complete: false,
+        removed: false
+      };
+      state.strokes.push(stroke);
+      state.strokeIndex.set(strokeId, stroke);
+    } else if (!stroke || stroke.userId !== userId || stroke.complete) {
+      // Ignore events for unknown strokes or strokes owned by someone else
+      return false;
+    } else if (type === 'points') {
+      stroke.points.push(...decodePoints(deltas, pressures));
+    } else if (type === 'move') {
+      stroke.points.push({ x: pos.x, y: pos.y });
+    } else if (type === 'end') {
+      stroke.complete = true;
+    } else {
+      return false;
+    }
+    
+    return true;
+  }
+  
+  getStrokes(roomId) {
+    const state = this.states.get(roomId);
+    return state ? state.strokes : [];
+  }
+  
+  // Remove every stroke drawn by one user (their "clear canvas" only affects their own layer).
+  // Strokes are only flagged as removed so the clear stays undoable.
+  clearUserStrokes(roomId, userId, seq) {
+    const state = this.getOrCreateState(roomId);
+    const before = state.strokes.filter(stroke => !stroke.removed).length;
+    this.commit(roomId, { op: 'clear', userId, seq });
+    
+    const removed = before - state.strokes.filter(stroke => !stroke.removed).length;
+    console.log(`Cleared ${removed} strokes from ${userId} in room ${roomId}`);
+    return removed;
+  }
+  
+  // Undo/redo: remove or restore strokes by id; users can only change their own strokes
+  setStrokesRemoved(roomId, userId, strokeIds, removed, seq) {
+    const state = this.getOrCreateState(roomId);
+    const changed = this.findChangeableStrokes(state, userId, strokeIds, removed);
+    if (changed.length > 0) {
+      this.commit(roomId, { op: 'strokes-removed', userId, strokeIds: changed, removed, seq });
+    }
+    return changed;
+  }
+  
+  findChangeableStrokes(state, userId, strokeIds, removed) {
+    return strokeIds.filter(strokeId => {
+      const stroke = state.strokeIndex.get(strokeId);
+      return stroke && stroke.userId === userId && !!stroke.removed !== removed;
+    });
+  }
+  
+  markStrokesRemoved(state, userId, strokeIds, removed) {
+    const changed = this.findChangeableStrokes(state, userId, strokeIds, removed);
+    for (const strokeId of changed) {
+      state.strokeIndex.get(strokeId).removed = removed;
+    }
+    return changed;
+  }
+  
+  // Stroke eraser: remove (or, on undo, restore) whole strokes of any author the room settings allow
+  eraseStrokes(roomId, userId, strokeIds, removed, seq) {
+    const state = this.getOrCreateState(roomId);
+    const changed = strokeIds.filter(strokeId => {
+      const stroke = state.strokeIndex.get(strokeId);
+      return stroke && !!stroke.removed !== removed && this.canEraseStroke(state, userId, stroke);
+    });
+    
+    if (changed.length > 0) {
+      this.commit(roomId, { op: 'erase', userId, strokeIds: changed, removed, seq });
+    }
+    return changed;
+  }
+  
+  canEraseStroke(state, userId, stroke) {
+    if (this.isLayerLocked(state, stroke.layerId)) return false;
+    
+    const permission = state.settings.erasePermission;
+    return stroke.userId === userId || permission === 'anyone' ||
+      (permission === 'owner' && userId === state.ownerId);
+  }
+  
+  // Permission was checked before the record was written, so replay applies it unconditionally
+  markStrokesErased(state, strokeIds, removed) {
+    const changed = [];
+    for (const strokeId of strokeIds) {
+      const stroke = state.strokeIndex.get(strokeId);
+      if (stroke && !!stroke.removed !== removed) {
+        stroke.removed = removed;
+        changed.push(strokeId);
+      }
+    }
+    return changed;
+  }
+  
+  // The user who created a room through the API, or else the first to join it, owns it;
+  // returns the owner's userId
+  claimOwnership(roomId, userId) {
+    const state = this.getOrCreateState(roomId);
+    if (!state.ownerId && userId) {
+      this.commit(roomId, { op: 'owner', userId });
+    }
+    return state.ownerId;
+  }
+  
+  // Everything members may know about the room; the password hash stays on the server
+  getRoomSettings(roomId) {
+    const state = this.getOrCreateState(roomId);
+    return {
+      ownerId: state.ownerId,
+      roles: state.roles,
+      muted: Object.keys(state.muted),
+      locked: this.isBoardLocked(roomId),
+      lockedUntil: state.lockedUntil,
+      settings: state.settings,
+      access: state.access.mode
+    };
+  }
+  
+  // Users keep the role they got on their first join until the owner changes it
+  assignDefaultRole(roomId, userId) {
+    const state = this.getOrCreateState(roomId);
+    if (userId && userId !== state.ownerId && !state.roles[userId]) {
+      this.commit(roomId, { op: 'role', userId, role: state.settings.defaultRole });
+    }
+  }
+  
+  getRole(roomId, userId) {
+    const state = this.getOrCreateState(roomId);
+    if (userId === state.ownerId) return 'owner';
+    return state.roles[userId] || state.settings.defaultRole;
+  }
+  
+  // Viewers and muted users may not change anything on the canvas, and while the board
+  // is locked only the owner may
+  canEdit(roomId, userId) {
+    const role = this.getRole(roomId, userId);
+    if (role === 'owner') return true;
+    return role !== 'viewer' && !this.getOrCreateState(roomId).muted[userId] && !this.isBoardLocked(roomId);
+  }
+  
+  setMuted(roomId, userId, muted) {
+    const state = this.getOrCreateState(roomId);
+    if (typeof userId !== 'string' || userId === state.ownerId) return false;
+    
+    this.commit(roomId, { op: 'mute', userId, muted: !!muted });
+    return true;
+  }
+  
+  // Keep a user out of the room for a while; the caller disconnects them
+  kickUser(roomId, userId) {
+    const state = this.getOrCreateState(roomId);
+    if (typeof userId !== 'string' || userId === state.ownerId) return false;
+    
+    const at = Date.now();
+    this.commit(roomId, { op: 'kick', userId, at, until: at + KICK_DURATION });
+    return true;
+  }
+  
+  isKicked(roomId, userId) {
+    const until = this.getOrCreateState(roomId).kicked[userId];
+    return !!until && until > Date.now();
+  }
+  
+  // Lock the board for a number of seconds, or unlock it with a duration of 0.
+  // Returns the time the lock runs out, or null when the board is unlocked.
+  lockBoard(roomId, duration = DEFAULT_LOCK_DURATION) {
+    const seconds = Number(duration);
+    const until = seconds > 0 ? Date.now() + Math.min(seconds, MAX_LOCK_DURATION) * 1000 : null;
+    
+    this.commit(roomId, { op: 'board-lock', until });
+    return until;
+  }
+  
+  isBoardLocked(roomId) {
+    const { lockedUntil } = this.getOrCreateState(roomId);
+    return !!lockedUntil && lockedUntil > Date.now();
+  }
+  
+  // Promote or demote a member; the owner's role can't be changed
+  setRole(roomId, userId, role) {
+    const state = this.getOrCreateState(roomId);
+    if (!ROLES.includes(role) || typeof userId !== 'string' || userId === state.ownerId) return false;
+    
+    this.commit(roomId, { op: 'role', userId, role });
+    return true;
+  }
+  
+  // The name and color a user had in this room, or null if they have never joined it
+  getProfile(roomId, userId) {
+    return this.getOrCreateState(roomId).profiles[userId] || null;
+  }
+  
+  // Settle the name and color a user goes by in a room. Returning users keep what they had
+  // unless they ask for something else; newcomers without a name get defaultName or "UserN".
+  // takenNames are the names of the others in the room. Returns the profile now in use.
+  setProfile(roomId, userId, { username, color }, takenNames = [], defaultName = null) {
+    const state = this.getOrCreateState(roomId);
+    const previous = state.profiles[userId] || {};
+    
+    const requested = normalizeDisplayName(username) || previous.username || defaultName || this.nextNumberedName(state);
+    const profile = {
+      username: uniqueDisplayName(requested, takenNames),
+      color: USER_COLOR_PATTERN.test(color) ? color : previous.color || DEFAULT_USER_COLOR
+    };
+    
+    this.commit(roomId, { op: 'profile', userId, ...profile });
+    return profile;
+  }
+  
+  // "UserN" with N one past the highest number given out in the room so far
+  nextNumberedName(state) {
+    const numbers = Object.values(state.profiles).map(({ username }) => {
+      const match = /^User(\d+)$/.exec(username);
+      return match ? parseInt(match[1], 10) : 0;
+    });
+    return `User${Math.max(0, ...numbers) + 1}`;
+  }
+  
+  getAccess(roomId) {
+    return this.getOrCreateState(roomId).access;
+  }
+  
+  isPrivate(roomId) {
+    const state = this.states.get(roomId);
+    return !!state && state.access.mode !== 'public';
+  }
+  
+  // Change who may join; password mode needs the password's hash (see hashPassword), never the password
+  setAccess(roomId, mode, passwordHash = null) {
+    if (!ACCESS_MODES.includes(mode)) return false;
+    if (mode === 'password' && !passwordHash) return false;
+    
+    return this.commit(roomId, { op: 'access', mode, passwordHash: mode === 'password' ? passwordHash : null });
+  }
+  
+  // Rooms that have never been changed can still be created with access rules
+  isNewRoom(roomId) {
+    const state = this.states.get(roomId);
+    return !state || state.version === 0;
+  }
+  
+  // Apply the recognized, valid settings from an update; returns null when nothing changed
+  updateSettings(roomId, settings) {
+    const state = this.getOrCreateState(roomId);
+    const changes = {};
+    for (const [key, value] of Object.entries(settings || {})) {
+      if (SETTING_VALIDATORS[key] && SETTING_VALIDATORS[key](value) && state.settings[key] !== value) {
+        changes[key] = value;
+      }
+    }
+    
+    if (Object.keys(changes).length === 0) return null;
+    this.commit(roomId, { op: 'settings', settings: changes });
+    return state.settings;
+  }
+  
+  // Move/scale/rotate: set absolute transforms of a user's own strokes; returns the ones applied
+  setStrokeTransforms(roomId, userId, strokes, seq) {
+    const state = this.getOrCreateState(roomId);
+    const valid = strokes.filter(({ strokeId, transform }) => {
+      const stroke = state.strokeIndex.get(strokeId);
+      return stroke && stroke.userId === userId && isValidTransform(transform) &&
+        !this.isLayerLocked(state, stroke.layerId);
+    }).map(({ strokeId, transform }) => ({ strokeId, transform }));
+    
+    if (valid.length > 0) {
+      this.commit(roomId, { op: 'transform', userId, strokes: valid, seq });
+    }
+    return valid;
+  }
+  
+  applyTransforms(state, userId, strokes) {
+    const applied = [];
+    for (const { strokeId, transform } of strokes) {
+      const stroke = state.strokeIndex.get(strokeId);
+      if (stroke && stroke.userId === userId) {
+        stroke.transform = transform;
+        applied.push(strokeId);
+      }
+    }
+    return applied;
+  }
+  
+  getLayers(roomId) {
+    return this.getOrCreateState(roomId).layers;
+  }
+  
+  findLayer(state, layerId) {
+    return state.layers.find(layer => layer.layerId === layerId) || null;
+  }
+  
+  // Deleted layers count as locked, so strokes can't be added to them
+  isLayerLocked(state, layerId) {
+    const layer = this.findLayer(state, layerId);
+    return !layer || layer.locked;
+  }
+  
+  // Valid layer properties from an update, leaving out unknown keys and unchanged values
+  pickLayerChanges(layer, changes) {
+    const picked = {};
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (LAYER_VALIDATORS[key] && LAYER_VALIDATORS[key](value) && (!layer || layer[key] !== value)) {
+        picked[key] = key === 'name' ? value.trim() : value;
+      }
+    }
+    return picked;
+  }
+  
+  // Add a layer on top of the stack; returns false when the id is taken or the stack is full
+  addLayer(roomId, { layerId, name }, seq) {
+    const state = this.getOrCreateState(roomId);
+    if (typeof layerId !== 'string' || !layerId || this.findLayer(state, layerId)) return false;
+    if (state.layers.length >= MAX_LAYERS) return false;
+    
+    const layer = {
+      layerId,
+      name: `Layer ${state.layers.length + 1}`,
+      visible: true,
+      opacity: 1,
+      locked: false,
+      ...this.pickLayerChanges(null, { name })
+    };
+    return this.commit(roomId, { op: 'layer', action: 'add', layer, seq });
+  }
+  
+  // Rename, show/hide, lock/unlock or fade a layer
+  updateLayer(roomId, layerId, changes, seq) {
+    const state = this.getOrCreateState(roomId);
+    const layer = this.findLayer(state, layerId);
+    if (!layer) return false;
+    
+    const picked = this.pickLayerChanges(layer, changes);
+    if (Object.keys(picked).length === 0) return false;
+    return this.commit(roomId, { op: 'layer', action: 'update', layerId, changes: picked, seq });
+  }
+  
+  // Delete a layer together with every stroke on it; the last layer can't be deleted
+  removeLayer(roomId, layerId, seq) {
+    const state = this.getOrCreateState(roomId);
+    if (!this.findLayer(state, layerId) || state.layers.length <= 1) return false;
+    return this.commit(roomId, { op: 'layer', action: 'remove', layerId, seq });
+  }
+  
+  // Move a layer to a new position in the stack (0 is the bottom)
+  moveLayer(roomId, layerId, index, seq) {
+    const state = this.getOrCreateState(roomId);
+    const current = state.layers.findIndex(layer => layer.layerId === layerId);
+    if (current === -1 || !Number.isInteger(index)) return false;
+    
+    index = Math.max(0, Math.min(state.layers.length - 1, index));
+    if (index === current) return false;
+    return this.commit(roomId, { op: 'layer', action: 'move', layerId, index, seq });
+  }
+  
+  applyLayerRecord(state, record) {
+    if (record.action === 'add') {
+      state.layers.push({ ...record.layer });
+      return true;
+    }
+    
+    const index = state.layers.findIndex(layer => layer.layerId === record.layerId);
+    if (index === -1) return false;
+    
+    if (record.action === 'update') {
+      Object.assign(state.layers[index], record.changes);
+    } else if (record.action === 'remove') {
+      state.layers.splice(index, 1);
+      state.strokes = state.strokes.filter(stroke => {
+        if (stroke.layerId !== record.layerId) return true;
+        state.strokeIndex.delete(stroke.strokeId);
+        return false;
+      });
+    } else if (record.action === 'move') {
+      const [layer] = state.layers.splice(index, 1);
+      state.layers.splice(record.index, 0, layer);
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
   getState(roomId) {
     return this.states.get(roomId) || null;
   }
   
   clearState(roomId) {
     this.states.delete(roomId);
+    if (this.store) this.store.deleteRoom(roomId);
     console.log(`Cleared canvas state for room ${roomId}`);
   }
   
@@ -37,23 +1009,36 @@ class DrawingStateManager {
     return {
       roomId,
       version: state.version,
+      seq: state.seq,
+      strokeCount: state.strokes.length,
       timestamp: state.timestamp,
       age: Date.now() - state.timestamp
     };
   }
   
-  // Remove canvas states older than maxAge (default 24 hours) to free memory
-  cleanup(maxAge = 86400000) {
+  // Remove canvas states older than maxAge (default 24 hours), from memory and from storage
+  async cleanup(maxAge = 86400000) {
     const now = Date.now();
     let cleaned = 0;
     
     for (const [roomId, state] of this.states) {
       if ((now - state.timestamp) > maxAge) {
-        this.states.delete(roomId);
+        this.clearState(roomId);
         cleaned++;
       }
     }
     
+    // Rooms that were never loaded since the last restart only exist in storage
+    if (this.store) {
+      const storedRooms = await this.store.listRooms();
+      for (const { roomId, updatedAt } of storedRooms) {
+        if (!this.states.has(roomId) && !this.loading.has(roomId) && (now - updatedAt) > maxAge) {
+          await this.store.deleteRoom(roomId);
+          cleaned++;
+        }
+      }
+    }
+    
     if (cleaned > 0) {
       console.log(`Cleaned up ${cleaned} old canvas states`);
     }
@@ -61,17 +1046,43 @@ class DrawingStateManager {
     return cleaned;
   }
   
+  // Drop rooms without clients that were inactive for maxAge (default 1 hour) from memory.
+  // Their snapshot is written first, so they are loaded again on the next join-room.
+  unloadInactive(isRoomInUse, maxAge = 3600000) {
+    const now = Date.now();
+    
+    for (const [roomId, state] of this.states) {
+      if (!isRoomInUse(roomId) && (now - state.timestamp) > maxAge) {
+        if (this.store) this.store.writeSnapshot(roomId, this.serializeState(state));
+        this.states.delete(roomId);
+        console.log(`Unloaded inactive room ${roomId} from memory`);
+      }
+    }
+  }
+  
+  // Snapshot every loaded room and wait for storage to finish (used on graceful shutdown)
+  async persistAll() {
+    if (!this.store) return;
+    
+    for (const [roomId, state] of this.states) {
+      this.store.writeSnapshot(roomId, this.serializeState(state));
+    }
+    await this.store.flush();
+    console.log(`Persisted ${this.states.size} rooms`);
+  }
+  
   getStats() {
     let totalSize = 0;
     const roomStats = [];
     
     for (const [roomId, state] of this.states) {
-      const size = state.canvasData ? state.canvasData.length : 0;
+      const size = state.strokes.reduce((sum, stroke) => sum + stroke.points.length, 0);
       totalSize += size;
       
       roomStats.push({
         roomId,
         size,
+        strokeCount: state.strokes.length,
         version: state.version,
         age: Date.now() - state.timestamp,
         timestamp: state.timestamp
@@ -0,0 +1,89 @@
+// Retries of operations the server already applied. Run with `npm test` from the repository root.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DrawingStateManager = require('./drawing-state');
+const { FileStore } = require('./storage');
+const { encodePoints } = require('../Shared/wire-codec');
+
+const ROOM = 'retries';
+const USER = 'user_a';
+
+// A server that starts over on the same data directory, as after a restart
+async function restart(dataDir) {
+  const manager = new DrawingStateManager(new FileStore(dataDir));
+  await manager.loadRoom(ROOM);
+  return manager;
+}
+
+// What Server.js does with a drawing event that arrives with an opId
+function sendDrawing(manager, opId, data) {
+  const event = manager.recordDrawingEvent(ROOM, USER, data, opId);
+  if (event) manager.rememberOperation(ROOM, 'drawing', { ...event, userId: USER }, USER, opId);
+  return event;
+}
+
+function createDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-retries-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+test('a retried point chunk is recognized after a restart from the journal', async (t) => {
+  const dataDir = createDataDir(t);
+  const first = await restart(dataDir);
+  
+  sendDrawing(first, 'op_1', { type: 'start', strokeId: 's1', pos: { x: 0, y: 0 }, mode: 'brush' });
+  const chunk = sendDrawing(first, 'op_2', { type: 'points', strokeId: 's1', deltas: encodePoints([{ x: 5, y: 5 }, { x: 6, y: 6 }]) });
+  await first.store.flush();
+  
+  const second = await restart(dataDir);
+  assert.deepEqual(second.findOperation(ROOM, USER, 'op_2'), { seq: chunk.seq });
+  assert.equal(second.findOperation(ROOM, 'user_b', 'op_2'), null);
+  assert.equal(second.getStrokes(ROOM)[0].points.length, 3);
+});
+
+test('opIds survive snapshots, for operations of every kind', async (t) => {
+  const dataDir = createDataDir(t);
+  const first = await restart(dataDir);
+  
+  sendDrawing(first, 'op_1', { type: 'stroke', strokeId: 's1', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], mode: 'line' });
+  const seq = first.nextSequence(ROOM);
+  const strokeIds = first.setStrokesRemoved(ROOM, USER, ['s1'], true, seq);
+  first.rememberOperation(ROOM, 'undo', { userId: USER, strokeIds, removed: true, seq }, USER, 'op_2');
+  
+  // Answered in full while the operation is still in memory
+  assert.deepEqual(first.findOperation(ROOM, USER, 'op_2').strokeIds, ['s1']);
+  await first.persistAll();
+  
+  const second = await restart(dataDir);
+  assert.equal(second.findOperation(ROOM, USER, 'op_1').seq, 1);
+  assert.deepEqual(second.findOperation(ROOM, USER, 'op_2'), { seq });
+});
+
+test('only the latest opIds of each sender are kept', async (t) => {
+  const manager = await restart(createDataDir(t));
+  
+  sendDrawing(manager, 'op_0', { type: 'start', strokeId: 's0', pos: { x: 0, y: 0 }, mode: 'brush' });
+  for (let i = 1; i <= 300; i++) {
+    sendDrawing(manager, `op_${i}`, { type: 'points', strokeId: 's0', deltas: encodePoints([{ x: i, y: i }]) });
+  }
+  
+  assert.equal(manager.findOperation(ROOM, USER, 'op_0'), null);
+  assert.ok(manager.findOperation(ROOM, USER, 'op_300'));
+  await manager.store.flush();
+});
+
+test('refused events take no sequence number and no opId', async (t) => {
+  const manager = await restart(createDataDir(t));
+  
+  sendDrawing(manager, 'op_1', { type: 'start', strokeId: 's1', pos: { x: 0, y: 0 }, mode: 'brush' });
+  assert.equal(sendDrawing(manager, 'op_2', { type: 'start', strokeId: 's1', pos: { x: 0, y: 0 }, mode: 'brush' }), null);
+  assert.equal(sendDrawing(manager, 'op_3', { type: 'stroke', strokeId: 'f1', points: [{ x: 0, y: 0 }], mode: 'fill' }), null);
+  
+  assert.equal(manager.findOperation(ROOM, USER, 'op_2'), null);
+  assert.equal(sendDrawing(manager, 'op_4', { type: 'end', strokeId: 's1' }).seq, 2);
+  await manager.store.flush();
+});
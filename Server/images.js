@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { readLimit } = require('./limits');
+
+// Images imported onto a board are uploaded once and stored with the room; strokes only
+// reference them by imageId, the SHA-256 of their bytes, so the same file is stored once.
+const MAX_IMAGE_BYTES = readLimit('MAX_IMAGE_BYTES', 5 * 1024 * 1024);
+
+// Uploads each user may make per second, with bursts of twice that
+const IMAGE_UPLOADS_PER_SECOND = readLimit('IMAGE_UPLOADS_PER_SECOND', 1);
+
+// Accepted formats and the bytes their files start with. SVG is left out: it can carry scripts.
+const IMAGE_SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]]
+};
+const IMAGE_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+const IMAGE_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+function isImageId(value) {
+  return typeof value === 'string' && IMAGE_ID_PATTERN.test(value);
+}
+
+// The format a file's contents are in, or null if it is none of IMAGE_TYPES. The declared
+// Content-Type is never trusted on its own.
+function detectImageType(data) {
+  return IMAGE_TYPES.find(type => IMAGE_SIGNATURES[type].some(signature =>
+    data.length >= signature.length && signature.every((byte, i) => byte === null || data[i] === byte))) || null;
+}
+
+function getImageId(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  IMAGE_UPLOADS_PER_SECOND,
+  IMAGE_TYPES,
+  isImageId,
+  detectImageType,
+  getImageId
+};
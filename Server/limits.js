@@ -0,0 +1,8 @@
+// Limits configurable through the environment: the variable's value when it is a positive
+// integer, else the fallback
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+module.exports = { readLimit };
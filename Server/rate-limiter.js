@@ -0,0 +1,52 @@
+const { readLimit } = require('./limits');
+
+// Events per second each socket may send, per event name, with bursts of twice that.
+// Drawing streams a message for every pointer move, so it gets a much larger allowance.
+const RATE_LIMIT_PER_SECOND = readLimit('RATE_LIMIT_PER_SECOND', 20);
+const DRAWING_RATE_LIMIT_PER_SECOND = readLimit('DRAWING_RATE_LIMIT_PER_SECOND', 200);
+
+const DEFAULT_LIMITS = {
+  default: RATE_LIMIT_PER_SECOND,
+  'drawing': DRAWING_RATE_LIMIT_PER_SECOND,
+  'cursor-move': Math.max(RATE_LIMIT_PER_SECOND, 30),
+  'join-room': 2,
+  'canvas-state': 2
+};
+
+// Token buckets, one per event name; create one limiter per socket
+class RateLimiter {
+  constructor(limits = DEFAULT_LIMITS) {
+    this.limits = limits;
+    this.buckets = new Map();
+  }
+  
+  // Take one token for an event; false when the socket is over its limit
+  consume(event, now = Date.now()) {
+    const rate = this.limits[event] || this.limits.default;
+    let bucket = this.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: rate * 2, updatedAt: now };
+      this.buckets.set(event, bucket);
+    }
+    
+    bucket.tokens = Math.min(rate * 2, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) return false;
+    
+    bucket.tokens--;
+    return true;
+  }
+  
+  // Forget buckets that have filled up again; a new one starts out full all the same.
+  // Limiters shared by many clients call this now and then so they don't grow forever.
+  prune(now = Date.now()) {
+    for (const [event, bucket] of this.buckets) {
+      const rate = this.limits[event] || this.limits.default;
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate >= rate * 2) {
+        this.buckets.delete(event);
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
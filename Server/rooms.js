@@ -64,6 +64,19 @@ class RoomManager {
     return false;
   }
   
+  // A user's name and color changed; every connection they have in the room shows it
+  updateClientProfile(roomId, userId, { username, color }) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    
+    for (const client of room.clients) {
+      if (client.userId === userId) {
+        client.username = username;
+        client.color = color;
+      }
+    }
+  }
+  
   getRoomClients(roomId) {
     const room = this.rooms.get(roomId);
     return room ? Array.from(room.clients) : [];
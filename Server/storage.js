@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+
+// Batch journal writes so a busy room does not hit the disk on every pointer move
+const FLUSH_INTERVAL = 1000;
+
+// Rewrite the snapshot once a room's journal grows past this many records
+const COMPACT_THRESHOLD = 500;
+
+// Backend used when persistence is disabled (STORAGE=memory). Room state already lives in
+// memory, so only uploaded images are kept here, until the room is deleted or the server stops.
+class MemoryStore {
+  constructor() {
+    this.images = new Map();
+  }
+
+  async loadRoom() {
+    return null;
+  }
+
+  appendRecord() {}
+
+  async writeSnapshot() {}
+
+  async deleteRoom(roomId) {
+    this.images.delete(roomId);
+  }
+
+  async listRooms() {
+    return [];
+  }
+
+  async flush() {}
+
+  async saveImage(roomId, imageId, data) {
+    if (!this.images.has(roomId)) {
+      this.images.set(roomId, new Map());
+    }
+    this.images.get(roomId).set(imageId, data);
+  }
+
+  async loadImage(roomId, imageId) {
+    const images = this.images.get(roomId);
+    return (images && images.get(imageId)) || null;
+  }
+}
+
+// File-system backend: one JSON snapshot plus an append-only JSON-lines journal per room.
+// Loading a room reads the snapshot and replays the journal recorded after it. Uploaded
+// images are files of their own, in a directory per room under images/.
+class FileStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.pending = new Map();
+    this.journalSizes = new Map();
+    this.chains = new Map();
+    this.flushTimer = null;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    console.log(`File storage enabled in ${this.dataDir}`);
+  }
+
+  getPaths(roomId) {
+    const base = path.join(this.dataDir, encodeFileName(roomId));
+    return {
+      snapshot: `${base}.json`,
+      journal: `${base}.jsonl`,
+      images: path.join(this.dataDir, 'images', encodeFileName(roomId))
+    };
+  }
+
+  // Serialize file operations per room so appends, snapshots and deletes never interleave
+  enqueue(roomId, task) {
+    const previous = this.chains.get(roomId) || Promise.resolve();
+    const next = previous.then(task).catch((error) => {
+      console.error(`Storage error for room ${roomId}:`, error);
+    });
+
+    this.chains.set(roomId, next);
+    next.then(() => {
+      if (this.chains.get(roomId) === next) this.chains.delete(roomId);
+    });
+    return next;
+  }
+
+  async loadRoom(roomId) {
+    // Make sure any queued writes for this room have landed first
+    await this.flushRoom(roomId);
+
+    const paths = this.getPaths(roomId);
+    const snapshot = await readJson(paths.snapshot);
+    const journalText = await readText(paths.journal);
+
+    const records = [];
+    if (journalText) {
+      for (const line of journalText.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // A torn final line from a crash is dropped, everything before it is kept
+          console.warn(`Skipping corrupt journal record for room ${roomId}`);
+        }
+      }
+    }
+
+    if (!snapshot && records.length === 0) return null;
+
+    this.journalSizes.set(roomId, records.length);
+    console.log(`Loaded room ${roomId} from storage (${records.length} journal records)`);
+    return { snapshot, records };
+  }
+
+  // Queue a journal record; returns true once the journal is large enough to compact
+  appendRecord(roomId, record) {
+    if (!this.pending.has(roomId)) {
+      this.pending.set(roomId, []);
+    }
+    this.pending.get(roomId).push(JSON.stringify(record));
+
+    const size = (this.journalSizes.get(roomId) || 0) + 1;
+    this.journalSizes.set(roomId, size);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, FLUSH_INTERVAL);
+    }
+
+    return size >= COMPACT_THRESHOLD;
+  }
+
+  flushRoom(roomId) {
+    const lines = this.pending.get(roomId);
+    this.pending.delete(roomId);
+
+    if (!lines || lines.length === 0) {
+      return this.chains.get(roomId) || Promise.resolve();
+    }
+
+    const { journal } = this.getPaths(roomId);
+    return this.enqueue(roomId, () => fs.promises.appendFile(journal, lines.join('\n') + '\n'));
+  }
+
+  // Write a full snapshot atomically and start a fresh journal after it
+  writeSnapshot(roomId, snapshot) {
+    // Anything still pending is already contained in the snapshot
+    this.pending.delete(roomId);
+    this.journalSizes.set(roomId, 0);
+
+    const paths = this.getPaths(roomId);
+    const data = JSON.stringify(snapshot);
+
+    return this.enqueue(roomId, async () => {
+      const tmpPath = `${paths.snapshot}.tmp`;
+      await fs.promises.writeFile(tmpPath, data);
+      await fs.promises.rename(tmpPath, paths.snapshot);
+      await fs.promises.writeFile(paths.journal, '');
+    });
+  }
+
+  deleteRoom(roomId) {
+    this.pending.delete(roomId);
+    this.journalSizes.delete(roomId);
+
+    const paths = this.getPaths(roomId);
+    return this.enqueue(roomId, async () => {
+      await fs.promises.rm(paths.snapshot, { force: true });
+      await fs.promises.rm(paths.journal, { force: true });
+      // Only ever remove a room's own folder, never the images root or anything above it
+      if (isInside(path.join(this.dataDir, 'images'), paths.images)) {
+        await fs.promises.rm(paths.images, { recursive: true, force: true });
+      }
+      console.log(`Deleted stored room ${roomId}`);
+    });
+  }
+
+  // List persisted rooms with their last write time, used by the cleanup policies
+  async listRooms() {
+    const files = await fs.promises.readdir(this.dataDir);
+    const rooms = new Map();
+
+    for (const file of files) {
+      const match = file.match(/^(.*)\.(json|jsonl)$/);
+      if (!match) continue;
+
+      const roomId = decodeURIComponent(match[1]);
+      const stat = await fs.promises.stat(path.join(this.dataDir, file));
+      const updatedAt = stat.mtimeMs;
+      if (!rooms.has(roomId) || rooms.get(roomId) < updatedAt) {
+        rooms.set(roomId, updatedAt);
+      }
+    }
+
+    return Array.from(rooms, ([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+
+  // Write out every pending journal record and wait for all queued file operations
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const roomIds = new Set([...this.pending.keys(), ...this.chains.keys()]);
+    await Promise.all(Array.from(roomIds, roomId => this.flushRoom(roomId)));
+  }
+
+  // Images are named by their imageId, which follows from their contents, so a file that
+  // exists already holds the same bytes
+  async saveImage(roomId, imageId, data) {
+    const dir = this.getPaths(roomId).images;
+    const filePath = path.join(dir, imageId);
+    if (fs.existsSync(filePath)) return;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async loadImage(roomId, imageId) {
+    try {
+      return await fs.promises.readFile(path.join(this.getPaths(roomId).images, imageId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// A room ID as a file name. encodeURIComponent leaves dots alone, so IDs made of dots only,
+// which would name the data directory or its parent, get theirs encoded too.
+function encodeFileName(roomId) {
+  return encodeURIComponent(roomId).replace(/^\.+$/, dots => '%2E'.repeat(dots.length));
+}
+
+// Whether target lies strictly below dir
+function isInside(dir, target) {
+  const relative = path.relative(path.resolve(dir), path.resolve(target));
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+async function readText(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function readJson(filePath) {
+  const text = await readText(filePath);
+  return text ? JSON.parse(text) : null;
+}
+
+// Pick the storage backend from the STORAGE environment variable (file by default)
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE || 'file';
+
+  if (driver === 'memory') {
+    console.log('Persistence disabled, using in-memory storage only');
+    return new MemoryStore();
+  }
+
+  if (driver === 'file') {
+    return new FileStore(options.dataDir || process.env.DATA_DIR || path.join(__dirname, 'data'));
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { createStore, FileStore, MemoryStore };
@@ -0,0 +1,235 @@
+// Shape checks for every socket event a client can send. Handlers only ever see the fields
+// listed here; anything else in a payload is dropped. Deeper rules (known stroke modes,
+// layer locks, permissions) stay with the code that applies the event.
+
+const { readLimit } = require('./limits');
+const { isImageId } = require('./images');
+
+// Size caps, configurable through the environment
+const MAX_PAYLOAD_BYTES = readLimit('MAX_PAYLOAD_BYTES', 2 * 1024 * 1024);
+const MAX_CANVAS_DATA_LENGTH = readLimit('MAX_CANVAS_DATA_LENGTH', 1536 * 1024);
+const MAX_POINTS_PER_EVENT = readLimit('MAX_POINTS_PER_EVENT', 5000);
+const MAX_STROKES_PER_EVENT = readLimit('MAX_STROKES_PER_EVENT', 1000);
+const MAX_TEXT_LENGTH = 5000;
+
+// Paint-bucket fill masks (see Client/fill.js), limited like the client limits them: cells per
+// side, enough for a 4K screen, and runs of cells, none longer than a whole mask
+const MAX_MASK_SIZE = 4096;
+const MAX_MASK_RUNS = 100000;
+const MAX_ID_LENGTH = 128;
+
+// Room IDs name files on the server, so they are kept to letters, digits, dashes and underscores
+const ROOM_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const isString = max => value => typeof value === 'string' && value.length <= max;
+const isId = value => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+const isRoomId = value => typeof value === 'string' && ROOM_ID_PATTERN.test(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isInteger = value => Number.isSafeInteger(value);
+const isBoolean = value => typeof value === 'boolean';
+const isPoint = value => !!value && typeof value === 'object' && isNumber(value.x) && isNumber(value.y);
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isArrayOf = (check, max) => value => Array.isArray(value) && value.length <= max && value.every(check);
+const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+const isTransform = value => Array.isArray(value) && value.length === 6 && value.every(isNumber);
+const isSmallObject = value => isPlainObject(value) && Object.keys(value).length <= 16;
+const isMaskSize = value => isInteger(value) && value >= 1 && value <= MAX_MASK_SIZE;
+const isMask = value => isPlainObject(value) && isMaskSize(value.width) && isMaskSize(value.height) &&
+  isArrayOf(run => isInteger(run) && run >= 0 && run <= MAX_MASK_SIZE * MAX_MASK_SIZE, MAX_MASK_RUNS)(value.runs);
+
+// Fields that may be left out (or sent as null)
+function optional(check) {
+  const validator = value => value === undefined || value === null || check(value);
+  validator.optional = true;
+  return validator;
+}
+
+// roomId and userId are sent along with most events for historical reasons. The server uses the
+// room the socket joined and the identity it joined with; a payload naming others is refused.
+const BOUND_ROOM = 'bound-room';
+const BOUND_USER = 'bound-user';
+
+const SENDER = {
+  roomId: BOUND_ROOM,
+  userId: BOUND_USER
+};
+
+const STROKE_CHANGE = {
+  ...SENDER,
+  strokeIds: isArrayOf(isId, MAX_STROKES_PER_EVENT),
+  removed: optional(isBoolean),
+  lamport: optional(isNumber),
+  opId: optional(isId)
+};
+
+const EVENT_SCHEMAS = {
+  'join-room': {
+    roomId: isRoomId,
+    userId: BOUND_USER,
+    username: optional(isString(64)),
+    color: optional(isColor),
+    password: optional(isString(1024)),
+    invite: optional(isString(1024)),
+    since: optional(isNumber)
+  },
+  'cursor-move': {
+    ...SENDER,
+    pos: optional(isPoint)
+  },
+  'drawing': {
+    ...SENDER,
+    type: isString(16),
+    strokeId: isId,
+    layerId: optional(isId),
+    pos: optional(isPoint),
+    points: optional(isArrayOf(isPoint, MAX_POINTS_PER_EVENT)),
+    deltas: optional(isArrayOf(isInteger, MAX_POINTS_PER_EVENT * 2)),
+    pressure: optional(isInteger),
+    pressures: optional(isArrayOf(isInteger, MAX_POINTS_PER_EVENT)),
+    mode: optional(isString(16)),
+    color: optional(isString(32)),
+    width: optional(isNumber),
+    smoothing: optional(isNumber),
+    brush: optional(isSmallObject),
+    fill: optional(isBoolean),
+    text: optional(isString(MAX_TEXT_LENGTH)),
+    fontSize: optional(isNumber),
+    align: optional(isString(16)),
+    mask: optional(isMask),
+    imageId: optional(isImageId),
+    transform: optional(isTransform),
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'request-canvas-state': { ...SENDER },
+  'canvas-state': {
+    ...SENDER,
+    canvasData: isString(MAX_CANVAS_DATA_LENGTH)
+  },
+  'clear-canvas': {
+    ...SENDER,
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'undo': STROKE_CHANGE,
+  'redo': STROKE_CHANGE,
+  'remove-strokes': STROKE_CHANGE,
+  'erase-strokes': STROKE_CHANGE,
+  'transform-strokes': {
+    ...SENDER,
+    strokes: isArrayOf(value => isPlainObject(value) && isId(value.strokeId), MAX_STROKES_PER_EVENT),
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'add-layer': {
+    ...SENDER,
+    layerId: isId,
+    name: isString(MAX_ID_LENGTH),
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'update-layer': {
+    ...SENDER,
+    layerId: isId,
+    changes: isSmallObject,
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'remove-layer': {
+    ...SENDER,
+    layerId: isId,
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'move-layer': {
+    ...SENDER,
+    layerId: isId,
+    index: isNumber,
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'update-profile': {
+    username: optional(isString(64)),
+    color: optional(isColor)
+  },
+  'update-room-settings': {
+    roomId: BOUND_ROOM,
+    settings: isSmallObject
+  },
+  'update-room-access': {
+    access: isString(16),
+    password: optional(isString(1024))
+  },
+  'create-invite': {
+    expiresIn: optional(isNumber)
+  },
+  'set-role': {
+    userId: isId,
+    role: isString(16)
+  },
+  'mute-user': {
+    userId: isId,
+    muted: isBoolean
+  },
+  'kick-user': {
+    userId: isId
+  },
+  'clear-user-strokes': {
+    roomId: BOUND_ROOM,
+    userId: isId,
+    lamport: optional(isNumber),
+    opId: optional(isId)
+  },
+  'lock-board': {
+    locked: isBoolean,
+    duration: optional(isNumber)
+  }
+};
+
+// Check a payload against the schema of its event, for a socket that joined `room` as `userId`.
+// Returns { value } with only the known fields, or { error: { code, message, field } }.
+function validatePayload(event, payload, { roomId, userId }) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return { error: { code: 'unknown-event', message: `Unknown event ${event}` } };
+  }
+  if (event !== 'join-room' && !roomId) {
+    return { error: { code: 'not-joined', message: 'Join a room first' } };
+  }
+  
+  const data = payload === undefined ? {} : payload;
+  if (!isPlainObject(data)) {
+    return { error: { code: 'invalid-payload', message: 'Payload must be an object' } };
+  }
+  
+  const value = {};
+  for (const [field, check] of Object.entries(schema)) {
+    const fieldValue = data[field];
+    
+    if (check === BOUND_ROOM || check === BOUND_USER) {
+      const expected = check === BOUND_ROOM ? roomId : userId;
+      if (fieldValue !== undefined && fieldValue !== null && fieldValue !== expected) {
+        const [code, joined] = check === BOUND_ROOM ? ['wrong-room', 'room'] : ['wrong-user', 'user'];
+        return { error: { code, field, message: `${field} does not match the ${joined} this connection joined as` } };
+      }
+      continue;
+    }
+    
+    if (fieldValue === undefined && !check.optional) {
+      return { error: { code: 'invalid-payload', field, message: `Missing ${field}` } };
+    }
+    if (!check(fieldValue)) {
+      return { error: { code: 'invalid-payload', field, message: `Invalid ${field}` } };
+    }
+    if (fieldValue !== undefined) value[field] = fieldValue;
+  }
+  return { value };
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  MAX_TEXT_LENGTH,
+  EVENT_SCHEMAS,
+  isRoomId,
+  validatePayload
+};
@@ -0,0 +1,386 @@
+// Wire formats shared by the server and the browser. The server loads this file with require(),
+// the browser as a classic script that defines the WireCodec global (like socket.io's io).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WireCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Stroke points streamed while drawing: a flat list of integers in 1/POINT_PRECISION document
+  // units, the first point absolute and every other one relative to the point before it.
+  // A chunk decodes on its own, so a lost or skipped one never shifts the rest of the stroke.
+  const POINT_PRECISION = 10;
+  
+  function encodePoints(points) {
+    const deltas = [];
+    let lastX = 0;
+    let lastY = 0;
+    
+    for (const point of points) {
+      const x = Math.round(point.x * POINT_PRECISION);
+      const y = Math.round(point.y * POINT_PRECISION);
+      deltas.push(x - lastX, y - lastY);
+      lastX = x;
+      lastY = y;
+    }
+    return deltas;
+  }
+  
+  // Pen pressure (0 to 1, stored as point.p) travels next to the points as integers in
+  // 1/PRESSURE_PRECISION steps. Points without pressure (mouse, touch) leave the list out.
+  const PRESSURE_PRECISION = 100;
+  
+  const encodePressure = p => Math.round(p * PRESSURE_PRECISION);
+  const decodePressure = value => Math.min(1, Math.max(0, value / PRESSURE_PRECISION));
+  
+  function encodePressures(points) {
+    if (!points.every(point => typeof point.p === 'number')) return undefined;
+    return points.map(point => encodePressure(point.p));
+  }
+  
+  function decodePoints(deltas, pressures) {
+    const points = [];
+    let x = 0;
+    let y = 0;
+    
+    for (let i = 0; i + 1 < deltas.length; i += 2) {
+      x += deltas[i];
+      y += deltas[i + 1];
+      points.push(withPressure({ x: x / POINT_PRECISION, y: y / POINT_PRECISION }, pressures && pressures[i / 2]));
+    }
+    return points;
+  }
+  
+  // A point as it is after a trip over the wire; strokes are drawn from points in this form
+  // so the sender sees exactly what everyone else does
+  function quantizePoint(point) {
+    return withPressure({
+      x: Math.round(point.x * POINT_PRECISION) / POINT_PRECISION,
+      y: Math.round(point.y * POINT_PRECISION) / POINT_PRECISION
+    }, typeof point.p === 'number' ? encodePressure(point.p) : undefined);
+  }
+  
+  // The point with the pressure of an encoded value, if there is one
+  function withPressure(point, pressure) {
+    if (typeof pressure === 'number') point.p = decodePressure(pressure);
+    return point;
+  }
+  
+  // Binary form of the hot-path events. Clients offer BINARY_CODEC in the socket handshake;
+  // once the server confirms it they send and receive these events as BINARY_EVENT packets.
+  // Everything else, and everything to or from older clients, stays JSON.
+  const BINARY_CODEC = 'binary-v1';
+  const BINARY_EVENT = 'bin';
+  
+  // Message type byte -> event
+  const EVENTS = ['drawing', 'cursor-move'];
+  
+  const STRING = 1;
+  const NUMBER = 2;
+  const UINT = 3;
+  const BOOLEAN = 4;
+  const POINT = 5;
+  const POINTS = 6;
+  const INTEGERS = 7;
+  const TRANSFORM = 8;
+  
+  // Field tag -> [name, kind]. A message is its type byte followed by tagged fields; a tag with
+  // NULL_FLAG set stands for a null value. Tags are part of the format: only ever append.
+  const FIELDS = [
+    null,
+    ['type', STRING],
+    ['strokeId', STRING],
+    ['layerId', STRING],
+    ['pos', POINT],
+    ['points', POINTS],
+    ['deltas', INTEGERS],
+    ['mode', STRING],
+    ['color', STRING],
+    ['width', NUMBER],
+    ['fill', BOOLEAN],
+    ['text', STRING],
+    ['fontSize', NUMBER],
+    ['align', STRING],
+    ['transform', TRANSFORM],
+    ['lamport', UINT],
+    ['seq', UINT],
+    ['opId', STRING],
+    ['roomId', STRING],
+    ['userId', STRING],
+    ['socketId', STRING],
+    ['pressure', UINT],
+    ['pressures', INTEGERS],
+    ['smoothing', NUMBER]
+  ];
+  const FIELD_TAGS = new Map(FIELDS.map((field, tag) => field && [field[0], tag]).filter(Boolean));
+  const NULL_FLAG = 0x80;
+  
+  const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+  // Only plain { x, y } points; a point with pressure goes as JSON rather than lose it
+  const isPoint = value => !!value && typeof value === 'object' && Object.keys(value).length === 2 &&
+    isFiniteNumber(value.x) && isFiniteNumber(value.y);
+  
+  // Zigzag doubles the magnitude, which has to stay a safe integer
+  const isZigzagInteger = value => Number.isSafeInteger(value) && Math.abs(value) <= Number.MAX_SAFE_INTEGER / 2;
+  
+  // Whether a value can be written as the given kind; anything else makes the message JSON-only
+  function canEncode(kind, value) {
+    switch (kind) {
+      case STRING: return typeof value === 'string';
+      case NUMBER: return isFiniteNumber(value);
+      case UINT: return Number.isSafeInteger(value) && value >= 0;
+      case BOOLEAN: return typeof value === 'boolean';
+      case POINT: return isPoint(value);
+      case POINTS: return Array.isArray(value) && value.every(isPoint);
+      case INTEGERS: return Array.isArray(value) && value.every(isZigzagInteger);
+      case TRANSFORM: return Array.isArray(value) && value.length === 6 && value.every(isFiniteNumber);
+      default: return false;
+    }
+  }
+  
+  class Writer {
+    constructor() {
+      this.bytes = new Uint8Array(64);
+      this.view = new DataView(this.bytes.buffer);
+      this.length = 0;
+    }
+    
+    reserve(size) {
+      if (this.length + size <= this.bytes.length) return;
+      
+      const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size));
+      bytes.set(this.bytes.subarray(0, this.length));
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer);
+    }
+    
+    byte(value) {
+      this.reserve(1);
+      this.bytes[this.length++] = value;
+    }
+    
+    // Unsigned LEB128; arithmetic instead of bit operations so values up to 2^53 survive
+    uint(value) {
+      while (value >= 0x80) {
+        this.byte((value % 0x80) + 0x80);
+        value = Math.floor(value / 0x80);
+      }
+      this.byte(value);
+    }
+    
+    // Zigzag, so small negative numbers stay small
+    int(value) {
+      this.uint(value < 0 ? -value * 2 - 1 : value * 2);
+    }
+    
+    float(value) {
+      this.reserve(8);
+      this.view.setFloat64(this.length, value, true);
+      this.length += 8;
+    }
+    
+    string(value) {
+      const bytes = new TextEncoder().encode(value);
+      this.uint(bytes.length);
+      this.reserve(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
+    }
+    
+    result() {
+      return this.bytes.slice(0, this.length);
+    }
+  }
+  
+  class Reader {
+    constructor(bytes) {
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      this.offset = 0;
+    }
+    
+    get done() {
+      return this.offset >= this.bytes.length;
+    }
+    
+    need(size) {
+      if (this.offset + size > this.bytes.length) throw new Error('Truncated message');
+    }
+    
+    byte() {
+      this.need(1);
+      return this.bytes[this.offset++];
+    }
+    
+    uint() {
+      let value = 0;
+      let scale = 1;
+      for (;;) {
+        const byte = this.byte();
+        value += (byte & 0x7f) * scale;
+        if (byte < 0x80) return value;
+        
+        scale *= 0x80;
+        if (scale > Number.MAX_SAFE_INTEGER) throw new Error('Integer too large');
+      }
+    }
+    
+    int() {
+      const value = this.uint();
+      return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+    }
+    
+    float() {
+      this.need(8);
+      const value = this.view.getFloat64(this.offset, true);
+      this.offset += 8;
+      return value;
+    }
+    
+    string() {
+      const length = this.uint();
+      this.need(length);
+      const value = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+      this.offset += length;
+      return value;
+    }
+    
+    // Length of a list whose items take at least itemSize bytes each
+    count(itemSize) {
+      const count = this.uint();
+      this.need(count * itemSize);
+      return count;
+    }
+  }
+  
+  function writeValue(writer, kind, value) {
+    switch (kind) {
+      case STRING:
+        writer.string(value);
+        break;
+      case NUMBER:
+        writer.float(value);
+        break;
+      case UINT:
+        writer.uint(value);
+        break;
+      case BOOLEAN:
+        writer.byte(value ? 1 : 0);
+        break;
+      case POINT:
+        writer.float(value.x);
+        writer.float(value.y);
+        break;
+      case POINTS:
+        writer.uint(value.length);
+        for (const point of value) {
+          writer.float(point.x);
+          writer.float(point.y);
+        }
+        break;
+      case INTEGERS:
+        writer.uint(value.length);
+        for (const item of value) writer.int(item);
+        break;
+      case TRANSFORM:
+        for (const item of value) writer.float(item);
+        break;
+    }
+  }
+  
+  function readValue(reader, kind) {
+    switch (kind) {
+      case STRING:
+        return reader.string();
+      case NUMBER:
+        return reader.float();
+      case UINT:
+        return reader.uint();
+      case BOOLEAN:
+        return reader.byte() !== 0;
+      case POINT:
+        return { x: reader.float(), y: reader.float() };
+      case POINTS: {
+        const points = new Array(reader.count(16));
+        for (let i = 0; i < points.length; i++) points[i] = { x: reader.float(), y: reader.float() };
+        return points;
+      }
+      case INTEGERS: {
+        const items = new Array(reader.count(1));
+        for (let i = 0; i < items.length; i++) items[i] = reader.int();
+        return items;
+      }
+      case TRANSFORM:
+        return [reader.float(), reader.float(), reader.float(), reader.float(), reader.float(), reader.float()];
+    }
+  }
+  
+  // Binary packet for an event, or null when the event or one of its fields has no binary form
+  // (the caller then sends it as JSON). Fields that are undefined are left out, as in JSON.
+  function encodeMessage(event, data) {
+    const type = EVENTS.indexOf(event) + 1;
+    if (type === 0 || !data || typeof data !== 'object') return null;
+    
+    const writer = new Writer();
+    writer.byte(type);
+    for (const [name, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      
+      const tag = FIELD_TAGS.get(name);
+      if (!tag) return null;
+      if (value === null) {
+        writer.byte(tag | NULL_FLAG);
+        continue;
+      }
+      
+      const kind = FIELDS[tag][1];
+      if (!canEncode(kind, value)) return null;
+      writer.byte(tag);
+      writeValue(writer, kind, value);
+    }
+    return writer.result();
+  }
+  
+  // { event, data } from a binary packet (ArrayBuffer, Uint8Array or Node Buffer).
+  // Throws on malformed packets.
+  function decodeMessage(packet) {
+    let bytes;
+    if (packet instanceof ArrayBuffer) {
+      bytes = new Uint8Array(packet);
+    } else if (ArrayBuffer.isView(packet)) {
+      bytes = new Uint8Array(packet.buffer, packet.byteOffset, packet.byteLength);
+    } else {
+      throw new Error('Not a binary message');
+    }
+    
+    const reader = new Reader(bytes);
+    const event = EVENTS[reader.byte() - 1];
+    if (!event) throw new Error('Unknown message type');
+    
+    const data = {};
+    while (!reader.done) {
+      const byte = reader.byte();
+      const field = FIELDS[byte & ~NULL_FLAG];
+      if (!field) throw new Error('Unknown field');
+      
+      data[field[0]] = byte & NULL_FLAG ? null : readValue(reader, field[1]);
+    }
+    return { event, data };
+  }
+  
+  return {
+    POINT_PRECISION,
+    PRESSURE_PRECISION,
+    BINARY_CODEC,
+    BINARY_EVENT,
+    encodePoints,
+    decodePoints,
+    encodePressure,
+    encodePressures,
+    withPressure,
+    quantizePoint,
+    encodeMessage,
+    decodeMessage
+  };
+});
@@ -0,0 +1,120 @@
+// Round trips through the wire codec. Run with `npm test` from the repository root.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  POINT_PRECISION,
+  encodePoints,
+  decodePoints,
+  encodePressures,
+  quantizePoint,
+  encodeMessage,
+  decodeMessage
+} = require('./wire-codec');
+
+function roundTrip(event, data) {
+  const packet = encodeMessage(event, data);
+  assert.ok(packet instanceof Uint8Array, `${event} should have a binary form`);
+  return decodeMessage(packet);
+}
+
+test('points round-trip to the nearest 1/POINT_PRECISION unit', () => {
+  const points = [{ x: 10.04, y: -3.3 }, { x: 10.5, y: -3.31 }, { x: 1999.96, y: 0 }, { x: -250.123, y: 87654.3 }];
+  const decoded = decodePoints(encodePoints(points));
+  
+  assert.equal(decoded.length, points.length);
+  decoded.forEach((point, i) => {
+    assert.ok(Math.abs(point.x - points[i].x) <= 0.5 / POINT_PRECISION);
+    assert.ok(Math.abs(point.y - points[i].y) <= 0.5 / POINT_PRECISION);
+  });
+});
+
+test('point chunks decode on their own', () => {
+  assert.deepEqual(decodePoints(encodePoints([{ x: 5, y: 6 }])), [{ x: 5, y: 6 }]);
+  assert.deepEqual(decodePoints([]), []);
+});
+
+test('pressure travels with the points it belongs to', () => {
+  const points = [{ x: 1, y: 2, p: 0.5 }, { x: 3, y: 4, p: 0.123 }, { x: 5, y: 6, p: 1 }];
+  const decoded = decodePoints(encodePoints(points), encodePressures(points));
+  
+  assert.deepEqual(decoded, [{ x: 1, y: 2, p: 0.5 }, { x: 3, y: 4, p: 0.12 }, { x: 5, y: 6, p: 1 }]);
+  assert.equal(encodePressures([{ x: 1, y: 2 }, { x: 3, y: 4, p: 0.5 }]), undefined);
+  assert.deepEqual(decodePoints([10, 10], [250]), [{ x: 1, y: 1, p: 1 }]);
+});
+
+test('quantized points come out of the wire unchanged', () => {
+  const points = [{ x: 10.04, y: -3.36, p: 0.337 }, { x: 0.15, y: 1234.55 }, { x: -7.25, y: 0.05, p: 0 }].map(quantizePoint);
+  const pressed = points.filter(point => point.p !== undefined);
+  
+  assert.deepEqual(decodePoints(encodePoints(points)).map(({ x, y }) => ({ x, y })), points.map(({ x, y }) => ({ x, y })));
+  assert.deepEqual(decodePoints(encodePoints(pressed), encodePressures(pressed)), pressed);
+  assert.equal('p' in points[1], false);
+});
+
+test('drawing events of every type round-trip', () => {
+  const events = [
+    { type: 'start', strokeId: 'stroke_1', layerId: 'default', pos: { x: 12.5, y: -7.25 }, mode: 'brush', color: '#ff0000', width: 5, lamport: 3, opId: 'op_1' },
+    { type: 'start', strokeId: 'stroke_2', pos: { x: 0, y: 0 }, pressure: 42, mode: 'eraser', color: '#000000', width: 20, smoothing: 0.35 },
+    { type: 'points', strokeId: 'stroke_1', deltas: [125, -72, 3, 0, -1, 2, 0, -300000], lamport: 4 },
+    { type: 'points', strokeId: 'stroke_2', deltas: [1, 2, 3, 4], pressures: [0, 100] },
+    { type: 'end', strokeId: 'stroke_1', lamport: 5 },
+    { type: 'shape', strokeId: 's2', mode: 'rectangle', color: '#00ff00', width: 2, fill: true, points: [{ x: 0, y: 0 }, { x: 100.125, y: 50 }] },
+    { type: 'text', strokeId: 't1', pos: { x: 1, y: 2 }, mode: 'text', text: 'Hello, wörld ✏️\nline two', color: '#000000', fontSize: 24, align: 'center' },
+    { type: 'stroke', strokeId: 'c1', mode: 'brush', color: '#123456', width: 3.5, fill: false, points: [{ x: 1, y: 1 }, { x: 2, y: 3 }], transform: [1, 0, 0, 1, 20, 20] },
+    { type: 'move', strokeId: 'old', pos: { x: 3, y: 4 }, mode: 'eraser', color: '#000000', width: 20 }
+  ];
+  
+  for (const data of events) {
+    assert.deepEqual(roundTrip('drawing', data), { event: 'drawing', data });
+  }
+});
+
+test('relayed drawing events keep the fields the server adds', () => {
+  const data = { type: 'end', strokeId: 'stroke_1', userId: 'guest_1', socketId: 'abc123', seq: 9007199254740991 };
+  assert.deepEqual(roundTrip('drawing', data), { event: 'drawing', data });
+});
+
+test('cursor moves round-trip, including a cursor that left the canvas', () => {
+  assert.deepEqual(roundTrip('cursor-move', { userId: 'u1', pos: { x: 0.5, y: 1e6 } }), { event: 'cursor-move', data: { userId: 'u1', pos: { x: 0.5, y: 1e6 } } });
+  assert.deepEqual(roundTrip('cursor-move', { userId: 'u1', pos: null }), { event: 'cursor-move', data: { userId: 'u1', pos: null } });
+});
+
+test('undefined fields are left out as in JSON', () => {
+  const { data } = roundTrip('drawing', { type: 'end', strokeId: 's', transform: undefined });
+  assert.deepEqual(data, { type: 'end', strokeId: 's' });
+});
+
+test('events and fields without a binary form fall back to JSON', () => {
+  assert.equal(encodeMessage('undo', { strokeIds: ['s1'] }), null);
+  assert.equal(encodeMessage('drawing', { type: 'start', extra: 1 }), null);
+  assert.equal(encodeMessage('drawing', { type: 'start', width: 'wide' }), null);
+  assert.equal(encodeMessage('drawing', { type: 'points', deltas: [1.5, 2] }), null);
+  assert.equal(encodeMessage('drawing', { type: 'stroke', transform: [1, 0, 0, 1] }), null);
+  assert.equal(encodeMessage('drawing', { type: 'stroke', points: [{ x: 1, y: 2, p: 0.5 }] }), null);
+  assert.equal(encodeMessage('drawing', { type: 'start', lamport: -1 }), null);
+});
+
+test('binary packets are smaller than their JSON form', () => {
+  const data = { type: 'points', strokeId: 'stroke_1700000000000_abc1234', deltas: encodePoints(Array.from({ length: 20 }, (_, i) => ({ x: 100 + i * 1.7, y: 200 - i * 0.9 }))), lamport: 42 };
+  assert.ok(encodeMessage('drawing', data).length < JSON.stringify(data).length / 2);
+});
+
+test('packets decode from Node buffers and ArrayBuffers alike', () => {
+  const packet = encodeMessage('cursor-move', { userId: 'u1', pos: { x: 1, y: 2 } });
+  const buffer = Buffer.concat([Buffer.from([0xff]), Buffer.from(packet)]).subarray(1);
+  const arrayBuffer = packet.buffer.slice(packet.byteOffset, packet.byteOffset + packet.byteLength);
+  
+  assert.deepEqual(decodeMessage(buffer), decodeMessage(packet));
+  assert.deepEqual(decodeMessage(arrayBuffer), decodeMessage(packet));
+});
+
+test('malformed packets are rejected', () => {
+  const packet = encodeMessage('drawing', { type: 'start', strokeId: 'stroke_1', pos: { x: 1, y: 2 } });
+  
+  assert.throws(() => decodeMessage(packet.subarray(0, packet.length - 3)), /Truncated/);
+  assert.throws(() => decodeMessage(new Uint8Array([9])), /Unknown message type/);
+  assert.throws(() => decodeMessage(new Uint8Array([1, 0x7f])), /Unknown field/);
+  assert.throws(() => decodeMessage(new Uint8Array([1, 6, 0xff, 0xff, 0x03])), /Truncated/);
+  assert.throws(() => decodeMessage('not binary'), /Not a binary message/);
+  assert.throws(() => decodeMessage(new Uint8Array([])), /Truncated/);
+});